@@ -0,0 +1,14 @@
+// AI search worker - runs an AIStrategy off the main thread
+// Receives { id, strategy, options, state, color } and replies with { id, move }
+importScripts('engine.js', 'ai.js');
+
+self.addEventListener('message', (e) => {
+    const { id, strategy, options, state, color } = e.data;
+
+    // Search on a copy of the position
+    const position = new ChessPosition();
+    position.loadState(state);
+
+    const ai = new WorkerAI.STRATEGIES[strategy](position, options);
+    self.postMessage({ id, move: ai.selectMove(color) });
+});
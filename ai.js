@@ -0,0 +1,329 @@
+// AI Strategy Base Class
+class AIStrategy {
+    // game: the ChessPosition to choose moves in
+    constructor(game) {
+        this.game = game;
+    }
+
+    // Returns the best move for the given color
+    // Should return { from: { row, col }, to: { row, col }, promotion? } or null
+    // (promotion is the piece type a pawn reaching the last rank becomes, default queen)
+    // Strategies that search asynchronously may return a Promise of the move instead
+    selectMove(color) {
+        throw new Error('selectMove must be implemented by subclass');
+    }
+
+    // Stops a search in progress (nothing to stop for synchronous strategies)
+    cancel() {}
+}
+
+// Random AI Strategy - makes random legal moves
+class RandomAI extends AIStrategy {
+    selectMove(color) {
+        const allMoves = this.game.getAllMoves(color);
+
+        // Return a random move
+        if (allMoves.length > 0) {
+            return allMoves[Math.floor(Math.random() * allMoves.length)];
+        }
+
+        return null;
+    }
+}
+
+// Minimax AI Strategy - alpha-beta search over material and piece-square tables
+class MinimaxAI extends AIStrategy {
+    // depth: maximum search depth in plies
+    // timeLimit: milliseconds to spend before settling for the deepest completed search
+    constructor(game, { depth = 2, timeLimit = Infinity } = {}) {
+        super(game);
+        this.depth = depth;
+        this.timeLimit = timeLimit;
+    }
+
+    selectMove(color) {
+        const rootMoves = this.orderMoves(this.game.getAllMoves(color));
+        if (rootMoves.length === 0) return null;
+
+        this.deadline = Date.now() + this.timeLimit;
+        let bestMove = rootMoves[0];
+
+        // Iterative deepening: each completed depth refines the best move,
+        // and an unfinished depth is discarded when the time budget runs out
+        for (let depth = 1; depth <= this.depth; depth++) {
+            try {
+                bestMove = this.searchRoot(rootMoves, depth, color);
+            } catch (e) {
+                if (e !== MinimaxAI.TIMEOUT) throw e;
+                break;
+            }
+
+            // Search the best move first at the next depth for better pruning
+            rootMoves.splice(rootMoves.indexOf(bestMove), 1);
+            rootMoves.unshift(bestMove);
+        }
+
+        return bestMove;
+    }
+
+    // Search every root move and return the best one
+    searchRoot(moves, depth, color) {
+        const opponent = color === 'white' ? 'black' : 'white';
+        let alpha = -Infinity;
+        let bestMove = null;
+
+        for (const move of moves) {
+            this.game.applyMove(move.from.row, move.from.col, move.to.row, move.to.col, move.promotion);
+            let score;
+            try {
+                score = -this.search(depth - 1, -Infinity, -alpha, opponent, 1);
+            } finally {
+                this.game.revertMove();
+            }
+
+            if (score > alpha || !bestMove) {
+                alpha = score;
+                bestMove = move;
+            }
+        }
+
+        return bestMove;
+    }
+
+    // Negamax search with alpha-beta pruning, scored from the side to move
+    search(depth, alpha, beta, color, ply) {
+        if (Date.now() > this.deadline) throw MinimaxAI.TIMEOUT;
+
+        if (depth === 0) return this.evaluate(color);
+
+        const moves = this.orderMoves(this.game.getAllMoves(color));
+        if (moves.length === 0) {
+            // Prefer faster mates and slower losses
+            return this.game.isInCheck(color) ? -MinimaxAI.MATE_SCORE + ply : 0;
+        }
+
+        const opponent = color === 'white' ? 'black' : 'white';
+        for (const move of moves) {
+            this.game.applyMove(move.from.row, move.from.col, move.to.row, move.to.col, move.promotion);
+            let score;
+            try {
+                score = -this.search(depth - 1, -beta, -alpha, opponent, ply + 1);
+            } finally {
+                this.game.revertMove();
+            }
+
+            if (score >= beta) return beta;
+            if (score > alpha) alpha = score;
+        }
+
+        return alpha;
+    }
+
+    // Try promotions and captures of valuable pieces by cheap pieces first
+    orderMoves(moves) {
+        const board = this.game.board;
+        const score = (move) => {
+            const attacker = board[move.from.row][move.from.col];
+            const victim = board[move.to.row][move.to.col];
+            let value = 0;
+            if (victim) value += 10 * MinimaxAI.PIECE_VALUES[victim.type] - MinimaxAI.PIECE_VALUES[attacker.type];
+            if (move.promotion) value += MinimaxAI.PIECE_VALUES[move.promotion];
+            return value;
+        };
+
+        return moves
+            .map(move => ({ move, value: score(move) }))
+            .sort((a, b) => b.value - a.value)
+            .map(entry => entry.move);
+    }
+
+    // Static evaluation (material plus piece-square bonuses) from color's point of view
+    evaluate(color) {
+        let score = 0;
+
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = this.game.board[row][col];
+                if (!piece) continue;
+
+                // Tables are written from White's side; mirror the rows for Black
+                const tableRow = piece.color === 'white' ? row : 7 - row;
+                const value = MinimaxAI.PIECE_VALUES[piece.type] + MinimaxAI.PIECE_SQUARE_TABLES[piece.type][tableRow][col];
+                score += piece.color === color ? value : -value;
+            }
+        }
+
+        return score;
+    }
+}
+
+// Worker AI Strategy - runs another strategy in a Web Worker so the page stays responsive
+class WorkerAI extends AIStrategy {
+    // strategy: name of the strategy class in WorkerAI.STRATEGIES to run in the worker
+    // options: settings passed to that strategy's constructor
+    constructor(game, { strategy = 'MinimaxAI', options = {} } = {}) {
+        super(game);
+        this.strategy = strategy;
+        this.options = options;
+        this.worker = null;
+        this.unavailable = false; // Set once the worker fails to start
+        this.pending = null; // { id, color, resolve } for the search in progress
+        this.nextId = 0;
+    }
+
+    selectMove(color) {
+        this.cancel();
+
+        return new Promise((resolve) => {
+            const worker = this.getWorker();
+            if (!worker) {
+                resolve(this.selectMoveOnMainThread(color));
+                return;
+            }
+
+            const id = ++this.nextId;
+            this.pending = { id, color, resolve };
+            worker.postMessage({
+                id,
+                strategy: this.strategy,
+                options: this.options,
+                state: this.game.getState(),
+                color
+            });
+        });
+    }
+
+    // Create the worker on first use, or return null when workers are unavailable
+    // (browsers refuse them for pages opened from file://)
+    getWorker() {
+        if (this.worker || this.unavailable) return this.worker;
+
+        try {
+            this.worker = new Worker('ai-worker.js');
+        } catch (e) {
+            this.unavailable = true;
+            return null;
+        }
+
+        this.worker.addEventListener('message', (e) => {
+            if (!this.pending || e.data.id !== this.pending.id) return;
+
+            const { resolve } = this.pending;
+            this.pending = null;
+            resolve(e.data.move);
+        });
+
+        // If the worker script cannot load, finish the search on the main thread
+        this.worker.addEventListener('error', (e) => {
+            e.preventDefault();
+            this.worker.terminate();
+            this.worker = null;
+            this.unavailable = true;
+
+            if (this.pending) {
+                const { color, resolve } = this.pending;
+                this.pending = null;
+                resolve(this.selectMoveOnMainThread(color));
+            }
+        });
+
+        return this.worker;
+    }
+
+    // Run the wrapped strategy directly (fallback when workers are unavailable)
+    selectMoveOnMainThread(color) {
+        const Strategy = WorkerAI.STRATEGIES[this.strategy];
+        return new Strategy(this.game, this.options).selectMove(color);
+    }
+
+    // Stop the search in progress by ending its worker (a fresh one starts on the next request);
+    // an idle worker is kept for reuse
+    cancel() {
+        if (!this.pending) return;
+
+        this.pending.resolve(null);
+        this.pending = null;
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
+
+// Thrown to unwind the search when the time budget runs out
+MinimaxAI.TIMEOUT = Symbol('timeout');
+
+MinimaxAI.MATE_SCORE = 100000;
+
+MinimaxAI.PIECE_VALUES = { pawn: 100, knight: 320, bishop: 330, rook: 500, queen: 900, king: 0 };
+
+// Piece-square bonuses in centipawns, rank 8 first, from White's point of view
+MinimaxAI.PIECE_SQUARE_TABLES = {
+    pawn: [
+        [0, 0, 0, 0, 0, 0, 0, 0],
+        [50, 50, 50, 50, 50, 50, 50, 50],
+        [10, 10, 20, 30, 30, 20, 10, 10],
+        [5, 5, 10, 25, 25, 10, 5, 5],
+        [0, 0, 0, 20, 20, 0, 0, 0],
+        [5, -5, -10, 0, 0, -10, -5, 5],
+        [5, 10, 10, -20, -20, 10, 10, 5],
+        [0, 0, 0, 0, 0, 0, 0, 0]
+    ],
+    knight: [
+        [-50, -40, -30, -30, -30, -30, -40, -50],
+        [-40, -20, 0, 0, 0, 0, -20, -40],
+        [-30, 0, 10, 15, 15, 10, 0, -30],
+        [-30, 5, 15, 20, 20, 15, 5, -30],
+        [-30, 0, 15, 20, 20, 15, 0, -30],
+        [-30, 5, 10, 15, 15, 10, 5, -30],
+        [-40, -20, 0, 5, 5, 0, -20, -40],
+        [-50, -40, -30, -30, -30, -30, -40, -50]
+    ],
+    bishop: [
+        [-20, -10, -10, -10, -10, -10, -10, -20],
+        [-10, 0, 0, 0, 0, 0, 0, -10],
+        [-10, 0, 5, 10, 10, 5, 0, -10],
+        [-10, 5, 5, 10, 10, 5, 5, -10],
+        [-10, 0, 10, 10, 10, 10, 0, -10],
+        [-10, 10, 10, 10, 10, 10, 10, -10],
+        [-10, 5, 0, 0, 0, 0, 5, -10],
+        [-20, -10, -10, -10, -10, -10, -10, -20]
+    ],
+    rook: [
+        [0, 0, 0, 0, 0, 0, 0, 0],
+        [5, 10, 10, 10, 10, 10, 10, 5],
+        [-5, 0, 0, 0, 0, 0, 0, -5],
+        [-5, 0, 0, 0, 0, 0, 0, -5],
+        [-5, 0, 0, 0, 0, 0, 0, -5],
+        [-5, 0, 0, 0, 0, 0, 0, -5],
+        [-5, 0, 0, 0, 0, 0, 0, -5],
+        [0, 0, 0, 5, 5, 0, 0, 0]
+    ],
+    queen: [
+        [-20, -10, -10, -5, -5, -10, -10, -20],
+        [-10, 0, 0, 0, 0, 0, 0, -10],
+        [-10, 0, 5, 5, 5, 5, 0, -10],
+        [-5, 0, 5, 5, 5, 5, 0, -5],
+        [0, 0, 5, 5, 5, 5, 0, -5],
+        [-10, 5, 5, 5, 5, 5, 0, -10],
+        [-10, 0, 5, 0, 0, 0, 0, -10],
+        [-20, -10, -10, -5, -5, -10, -10, -20]
+    ],
+    king: [
+        [-30, -40, -40, -50, -50, -40, -40, -30],
+        [-30, -40, -40, -50, -50, -40, -40, -30],
+        [-30, -40, -40, -50, -50, -40, -40, -30],
+        [-30, -40, -40, -50, -50, -40, -40, -30],
+        [-20, -30, -30, -40, -40, -30, -30, -20],
+        [-10, -20, -20, -20, -20, -20, -20, -10],
+        [20, 20, 0, 0, 0, 0, 20, 20],
+        [20, 30, 10, 0, 0, 10, 30, 20]
+    ]
+};
+
+// Strategies the worker can run, by name
+WorkerAI.STRATEGIES = { RandomAI, MinimaxAI };
+
+if (typeof module !== 'undefined') {
+    module.exports = { AIStrategy, RandomAI, MinimaxAI, WorkerAI };
+}
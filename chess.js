@@ -1,119 +1,181 @@
-// AI Strategy Base Class
-class AIStrategy {
-    constructor(game) {
-        this.game = game;
-    }
-
-    // Returns the best move for the given color
-    // Should return { from: { row, col }, to: { row, col } } or null
-    selectMove(color) {
-        throw new Error('selectMove must be implemented by subclass');
-    }
-}
-
-// Random AI Strategy - makes random legal moves
-class RandomAI extends AIStrategy {
-    selectMove(color) {
-        const allMoves = [];
-
-        // Collect all possible moves for this color
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
-                const piece = this.game.board[row][col];
-                if (piece && piece.color === color) {
-                    const validMoves = this.game.getValidMoves(row, col);
-                    for (const move of validMoves) {
-                        allMoves.push({
-                            from: { row, col },
-                            to: { row: move.row, col: move.col }
-                        });
-                    }
-                }
-            }
-        }
-
-        // Return a random move
-        if (allMoves.length > 0) {
-            return allMoves[Math.floor(Math.random() * allMoves.length)];
-        }
-
-        return null;
-    }
-}
-
-// Chess Game Engine
+// Chess Game - renders a ChessPosition on the distorted board and handles play
 class ChessGame {
     constructor() {
-        this.board = this.initializeBoard();
-        this.currentPlayer = 'white';
+        this.position = new ChessPosition(); // Rules and board state
         this.selectedCell = null;
         this.validMoves = [];
-        this.moveHistory = [];
-        this.theme = 'chess';
-        this.capturedPieces = { white: [], black: [] };
+        this.gameOver = null; // { winner, reason } once the game has ended
+        this.flagResult = null; // Timeout result once a flag has fallen; only a new or loaded game clears it
+        this.pendingPromotion = null; // { from, to } while the promotion picker is open
+        this.cursor = { row: 6, col: 4 }; // Square the keyboard cursor is on
+        this.drag = null; // { pointerId, from, startX, startY, element } while a board press is tracked
+        this.pieceAnimations = new Map(); // Piece element -> { from, to, current, fadeOut, start } while it slides or fades
+        this.animationFrame = null; // Pending requestAnimationFrame id for the piece animations
+        this.lineMode = 'branch'; // Moving from an earlier position: 'branch' keeps later moves as a variation, 'truncate' drops them
+        this.redoStack = []; // Tree nodes taken back by undo, most recent last
+        this.moveTreeVersion = 0; // Incremented whenever a node is added to the move tree or it is rebuilt
+        this.renderedFrom = {}; // What the overlays, trays and move list were last drawn from, by part
+        this.buildMoveTree();
+        this.theme = 'chess'; // Theme name in THEMES; Classic is drawn while it is still loading
+        this.capturedPieces = { white: [], black: [] }; // Pieces each side has captured on the way to the position shown
         this.gameMode = 'human'; // 'human' or 'computer'
-        this.aiStrategy = new RandomAI(this); // Extensible - can swap for different strategies
-        this.computerColor = 'black'; // Computer always plays black
+        this.aiStrategy = new RandomAI(this.position); // Extensible - can swap for different strategies
+        this.computerColor = 'black'; // The side the computer plays in computer mode; the player has the other
+        this.flipped = false; // Draw the board from Black's side
+        this.overlays = { lastMove: true, check: true, hanging: false, attacked: false }; // Board overlays shown, by name
         this.currentView = 'normal'; // Track current view mode
+        this.viewParams = {}; // Slider values for each view, by view name
+        this.meshSubdivision = 4; // Segments along each cell edge; 1 draws every cell as a flat quad
+        this.editingMesh = false; // Pointer drags move mesh vertices instead of pieces
+        this.selectedVertices = new Set(); // Vertices moved together in the mesh editor, by row * 9 + col
+        this.meshDrag = null; // { pointerId, brush, last, moved } while vertices are dragged or brush-selected
+        this.meshHistory = []; // Vertex positions before each mesh edit, for undo
+        this.reduceMotion = this.prefersReducedMotion(); // Hold views still and skip animations
+        this.viewBlend = null; // { from, start }: vertex positions to blend away from after a view change
+        this.viewFrame = null; // Pending requestAnimationFrame id for the view animation
+        this.difficulty = null; // Computer difficulty key in ChessGame.AI_DIFFICULTIES
+        this.useAIWorker = true; // Run computer searches in a Web Worker when possible
+        this.aiRequestId = 0; // Incremented to discard computer moves that are no longer wanted
+        this.timeControl = null; // ChessClock settings, or null for untimed games
+        this.clock = null; // ChessClock for the current game
+        this.clockTimer = null; // Interval that refreshes the clocks and watches for a fallen flag
+        this.saves = this.openSaveStore(); // SaveStore for the autosave and the save slots, or null without localStorage
+
+        this.position.on('move', ({ move, result }) => this.showMove(move, result));
+        this.position.on('load', () => this.showLoadedPosition());
 
         this.initializeUI();
         this.attachEventListeners();
         this.renderBoard();
-    }
-
-    // Initialize the chess board with starting position
-    initializeBoard() {
-        const board = Array(8).fill(null).map(() => Array(8).fill(null));
-
-        // Setup black pieces
-        board[0] = [
-            { type: 'rook', color: 'black' },
-            { type: 'knight', color: 'black' },
-            { type: 'bishop', color: 'black' },
-            { type: 'queen', color: 'black' },
-            { type: 'king', color: 'black' },
-            { type: 'bishop', color: 'black' },
-            { type: 'knight', color: 'black' },
-            { type: 'rook', color: 'black' }
-        ];
-        board[1] = Array(8).fill(null).map(() => ({ type: 'pawn', color: 'black' }));
-
-        // Setup white pieces
-        board[6] = Array(8).fill(null).map(() => ({ type: 'pawn', color: 'white' }));
-        board[7] = [
-            { type: 'rook', color: 'white' },
-            { type: 'knight', color: 'white' },
-            { type: 'bishop', color: 'white' },
-            { type: 'queen', color: 'white' },
-            { type: 'king', color: 'white' },
-            { type: 'bishop', color: 'white' },
-            { type: 'knight', color: 'white' },
-            { type: 'rook', color: 'white' }
-        ];
-
-        return board;
+        this.restoreAutosave();
+        this.loadThemes();
     }
 
     // Initialize UI elements
     initializeUI() {
         this.boardElement = document.getElementById('chess-board');
         this.statusElement = document.getElementById('status-message');
+        this.announcerElement = document.getElementById('announcer');
+        this.moveInputElement = document.getElementById('move-input');
         this.turnElement = document.getElementById('current-turn');
+        this.moveListElement = document.getElementById('move-list');
+        this.capturedTraysElement = document.getElementById('captured-trays');
+        this.capturedTrayElements = {
+            white: document.getElementById('captured-white'),
+            black: document.getElementById('captured-black')
+        };
+        this.clocksElement = document.getElementById('clocks');
+        this.clockElements = {
+            white: document.getElementById('clock-white'),
+            black: document.getElementById('clock-black')
+        };
+        this.customTimeElement = document.getElementById('custom-time-control');
+        document.getElementById('reduce-motion').checked = this.reduceMotion;
+        document.getElementById('mesh-detail').value = this.meshSubdivision;
+        this.viewSelectElement = document.getElementById('view');
+        this.viewParamsElement = document.getElementById('view-params');
+        this.meshEditButton = document.getElementById('mesh-edit-btn');
+        this.meshEditorElement = document.getElementById('mesh-editor');
+        this.meshNameElement = document.getElementById('mesh-name');
+        this.meshJSONElement = document.getElementById('mesh-json');
+        this.saveNameElement = document.getElementById('save-name');
+        this.saveSlotsElement = document.getElementById('save-slots');
+        this.themeSelectElement = document.getElementById('theme');
+        this.populateViewSelector();
+        this.populateThemeSelector();
+        this.renderSaveSlots();
     }
 
     // Attach event listeners
     attachEventListeners() {
         document.getElementById('reset-btn').addEventListener('click', () => this.resetGame());
         document.getElementById('undo-btn').addEventListener('click', () => this.undoMove());
+        document.getElementById('redo-btn').addEventListener('click', () => this.redoMove());
         document.getElementById('theme').addEventListener('change', (e) => this.changeTheme(e.target.value));
         document.getElementById('game-mode').addEventListener('change', (e) => this.changeGameMode(e.target.value));
+        document.getElementById('player-color').addEventListener('change', (e) => this.setPlayerColor(e.target.value));
+        document.getElementById('flip-btn').addEventListener('click', () => this.flipBoard());
+        document.querySelectorAll('[data-overlay]').forEach(toggle => {
+            toggle.addEventListener('change', () => this.setOverlay(toggle.dataset.overlay, toggle.checked));
+        });
         document.getElementById('view').addEventListener('change', (e) => this.changeView(e.target.value));
+        document.getElementById('ai-worker').addEventListener('change', (e) => this.setAIWorker(e.target.checked));
+        document.getElementById('reduce-motion').addEventListener('change', (e) => this.setReduceMotion(e.target.checked));
+        document.getElementById('mesh-detail').addEventListener('change', (e) => this.setMeshSubdivision(parseInt(e.target.value)));
+        document.getElementById('fen-load-btn').addEventListener('click', () => this.loadFENFromInput());
+        document.getElementById('fen-copy-btn').addEventListener('click', () => this.copyFEN());
+        document.getElementById('pgn-import-btn').addEventListener('click', () => this.importPGNFromInput());
+        document.getElementById('pgn-export-btn').addEventListener('click', () => this.exportPGN());
+        document.getElementById('save-btn').addEventListener('click', () => this.saveGameToSlot());
+        document.getElementById('save-load-btn').addEventListener('click', () => this.loadSelectedSlot());
+        document.getElementById('save-rename-btn').addEventListener('click', () => this.renameSelectedSlot());
+        document.getElementById('save-delete-btn').addEventListener('click', () => this.deleteSelectedSlot());
+        this.saveSlotsElement.addEventListener('change', () => { this.saveNameElement.value = this.saveSlotsElement.value; });
+        this.meshEditButton.addEventListener('click', () => this.toggleMeshEditor());
+        document.getElementById('mesh-undo-btn').addEventListener('click', () => this.undoMeshEdit());
+        document.getElementById('mesh-save-btn').addEventListener('click', () => this.saveMesh());
+        document.getElementById('mesh-load-btn').addEventListener('click', () => this.loadMeshFromInput());
+        document.getElementById('mesh-copy-btn').addEventListener('click', () => this.copyMesh());
+        document.getElementById('line-mode').addEventListener('change', (e) => { this.lineMode = e.target.value; });
+        document.getElementById('time-control').addEventListener('change', (e) => this.changeTimeControl(e.target.value));
+        ['custom-minutes', 'custom-bonus', 'custom-bonus-type'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.changeTimeControl('custom'));
+        });
+
+        // Clicks and drags on the board (pointer events cover mouse, touch and pen)
+        this.boardElement.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.boardElement.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.boardElement.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.boardElement.addEventListener('pointercancel', () => this.cancelDrag());
+
+        // Save the time used since the last move too, when the page is closed or reloaded
+        window.addEventListener('pagehide', () => this.autosave());
+
+        // Keyboard play on the focused board, and moves typed as SAN or UCI
+        this.boardElement.addEventListener('keydown', (e) => this.handleBoardKeyDown(e));
+        this.boardElement.addEventListener('pointerdown', () => this.boardElement.classList.remove('keyboard-active'));
+        document.getElementById('move-input-btn').addEventListener('click', () => this.playTypedMove());
+        this.moveInputElement.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.playTypedMove();
+            }
+        });
 
-        // Keyboard event listener for fullscreen
+        // Keyboard event listener for fullscreen (ignored while typing FEN or PGN, and for keys the board used)
         document.addEventListener('keydown', (e) => {
+            if (e.defaultPrevented) return;
+            if (e.target.matches && e.target.matches('input, textarea, select')) return;
+
+            // Ctrl+Z / Ctrl+Y (Cmd on Mac; Ctrl+Shift+Z also redoes)
+            if (e.ctrlKey || e.metaKey) {
+                const key = e.key.toLowerCase();
+                if (key === 'z' && !e.shiftKey) {
+                    e.preventDefault();
+                    // While editing the mesh, undo takes back vertex edits instead of moves
+                    if (this.editingMesh) {
+                        this.undoMeshEdit();
+                    } else {
+                        this.undoMove();
+                    }
+                } else if (this.editingMesh) {
+                    return;
+                } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                    e.preventDefault();
+                    this.redoMove();
+                }
+                return;
+            }
+
             if (e.key === 'f' || e.key === 'F') {
                 e.preventDefault();
                 this.toggleFullscreen();
+            } else if (e.key === 'ArrowLeft') {
+                e.preventDefault();
+                this.goToPreviousMove();
+            } else if (e.key === 'ArrowRight') {
+                e.preventDefault();
+                this.goToNextMove();
             }
         });
     }
@@ -136,8 +198,93 @@ class ChessGame {
         }
     }
 
-    // Render the chess board using SVG
+    // Render the board, touching only the cells and pieces that changed since the last render
     renderBoard() {
+        if (!this.svgElement) {
+            this.createBoardElements();
+        }
+
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                this.updateCellStyle(row, col);
+            }
+        }
+
+        this.renderOverlays();
+        this.updatePieces();
+
+        // Show the promotion picker while waiting for a choice, keeping the keyboard focus in it or
+        // handing it back to the board once the choice is made
+        const picker = this.boardElement.querySelector('.promotion-picker');
+        const pickerFocused = !!picker && picker.contains(document.activeElement);
+        if (picker) picker.remove();
+        if (this.pendingPromotion) {
+            const newPicker = this.createPromotionPicker();
+            this.boardElement.appendChild(newPicker);
+            this.updatePiecePositions();
+            if (pickerFocused) newPicker.querySelector('.promotion-option').focus();
+        } else if (pickerFocused) {
+            this.boardElement.focus();
+        }
+
+        this.updateCapturedPieces();
+        this.renderCapturedPieces();
+        this.renderMoveList();
+    }
+
+    // Check whether a part of the page drawn apart from the cells and pieces has to be redrawn, that is whether
+    // anything it is drawn from differs from last time (remembering the new sources if so)
+    needsRender(part, ...sources) {
+        const last = this.renderedFrom[part];
+        if (last && last.every((source, i) => source === sources[i])) return false;
+        this.renderedFrom[part] = sources;
+        return true;
+    }
+
+    // The position shown, for needsRender: the history records are new objects whenever a move is replayed
+    getPositionSources() {
+        const history = this.position.moveHistory;
+        return [this.position.initialFEN, history.length, history[history.length - 1]];
+    }
+
+    // Refill the trays from the moves that led to the position, so undo and review take captures back too
+    updateCapturedPieces() {
+        this.capturedPieces = { white: [], black: [] };
+        for (const move of this.position.moveHistory) {
+            if (move.capturedPiece) this.capturedPieces[move.piece.color].push(move.capturedPiece);
+        }
+    }
+
+    // Show each side's captures in the active theme, cheapest first, and the material lead of the side ahead
+    renderCapturedPieces() {
+        if (!this.needsRender('trays', ...this.getPositionSources(), this.getTheme(), this.flipped)) return;
+        const values = ChessPosition.MATERIAL_VALUES;
+        const lead = this.position.getMaterial('white') - this.position.getMaterial('black');
+
+        for (const color of ['white', 'black']) {
+            const tray = this.capturedTrayElements[color];
+            const pieces = tray.querySelector('.captured-pieces');
+            pieces.innerHTML = '';
+            for (const piece of [...this.capturedPieces[color]].sort((a, b) => values[a.type] - values[b.type])) {
+                const sprite = document.createElement('span');
+                sprite.className = 'captured-piece';
+                sprite.title = piece.type;
+                sprite.setAttribute('role', 'img');
+                sprite.setAttribute('aria-label', `${piece.color} ${piece.type}`);
+                sprite.style.backgroundImage = this.getPieceImage(piece);
+                pieces.appendChild(sprite);
+            }
+
+            const advantage = color === 'white' ? lead : -lead;
+            tray.querySelector('.material-advantage').textContent = advantage > 0 ? `+${advantage}` : '';
+        }
+
+        // Stack the trays like the board: the side playing from the bottom goes last
+        this.capturedTraysElement.appendChild(this.capturedTrayElements[this.flipped ? 'black' : 'white']);
+    }
+
+    // Build the SVG cells and the piece overlay once; later renders update them in place
+    createBoardElements() {
         this.boardElement.innerHTML = '';
 
         // Initialize vertex grid if not exists
@@ -156,17 +303,39 @@ class ChessGame {
         svg.style.left = '0';
         svg.style.width = '100%';
         svg.style.height = '100%';
+        svg.setAttribute('role', 'presentation');
 
-        // Create cells as SVG polygons
+        // Create cells as SVG polygons, a row of grid cells per rank for screen readers
+        this.cellElements = [];
         for (let row = 0; row < 8; row++) {
+            this.cellElements[row] = [];
+            const rank = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            rank.setAttribute('role', 'row');
             for (let col = 0; col < 8; col++) {
                 const cell = this.createSVGCell(row, col);
-                svg.appendChild(cell);
+                this.cellElements[row][col] = cell;
+                rank.appendChild(cell);
             }
+            svg.appendChild(rank);
         }
 
+        // Overlays sit over the cells but under the labels, and let clicks through to the cells
+        this.overlayElement = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        this.overlayElement.setAttribute('class', 'overlays');
+        this.overlayElement.setAttribute('aria-hidden', 'true');
+        svg.appendChild(this.overlayElement);
+
+        svg.appendChild(this.createCoordinateLabels());
+
+        // Outline of the square under the keyboard cursor, shown while the board is played from the keyboard
+        this.cursorElement = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+        this.cursorElement.setAttribute('class', 'keyboard-cursor');
+        this.cursorElement.setAttribute('aria-hidden', 'true');
+        svg.appendChild(this.cursorElement);
+
         this.boardElement.appendChild(svg);
         this.svgElement = svg;
+        this.applyTheme();
 
         // Create piece container (HTML overlay)
         const pieceContainer = document.createElement('div');
@@ -178,531 +347,1796 @@ class ChessGame {
         pieceContainer.style.height = '100%';
         pieceContainer.style.pointerEvents = 'none';
 
-        // Add pieces
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
-                const piece = this.board[row][col];
-                if (piece) {
-                    const pieceElement = document.createElement('div');
-                    pieceElement.className = 'piece';
-                    pieceElement.style.backgroundImage = this.getPieceImage(piece);
-                    pieceElement.dataset.row = row;
-                    pieceElement.dataset.col = col;
-                    pieceContainer.appendChild(pieceElement);
-                }
-            }
-        }
-
         this.boardElement.appendChild(pieceContainer);
         this.pieceContainer = pieceContainer;
-
-        // Update piece positions based on current view
-        this.updatePiecePositions();
-
-        // Reapply current view after rendering
-        if (this.currentView && this.currentView !== 'normal') {
-            this.changeView(this.currentView);
-        }
+        this.pieceElements = new Array(64).fill(null); // Piece element on each square, by row * 8 + col
     }
 
     // Create SVG cell polygon
     createSVGCell(row, col) {
         const polygon = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
 
-        // Get vertices for this cell
-        const topLeft = this.vertexGrid[row][col];
-        const topRight = this.vertexGrid[row][col + 1];
-        const bottomRight = this.vertexGrid[row + 1][col + 1];
-        const bottomLeft = this.vertexGrid[row + 1][col];
-
-        const points = `${topLeft.x},${topLeft.y} ${topRight.x},${topRight.y} ${bottomRight.x},${bottomRight.y} ${bottomLeft.x},${bottomLeft.y}`;
-        polygon.setAttribute('points', points);
-
-        // Set colors based on checkerboard pattern
-        const isLight = (row + col) % 2 === 0;
-        polygon.setAttribute('fill', isLight ? '#f0d9b5' : '#b58863');
-        polygon.setAttribute('stroke', 'none');
+        polygon.setAttribute('points', this.getCellPolygonPoints(row, col));
 
         // Add classes for styling
+        const isLight = (row + col) % 2 === 0;
         polygon.setAttribute('class', `cell ${isLight ? 'light' : 'dark'}`);
         polygon.dataset.row = row;
         polygon.dataset.col = col;
+        polygon.style.cursor = 'pointer';
+        polygon.id = `square-${this.position.getSquareName(row, col)}`;
+        polygon.setAttribute('role', 'gridcell');
 
-        // Highlight selected cell
-        if (this.selectedCell && this.selectedCell.row === row && this.selectedCell.col === col) {
-            polygon.setAttribute('fill', '#baca44');
-        }
+        return polygon;
+    }
 
-        // Highlight valid moves
-        if (this.validMoves.some(move => move.row === row && move.col === col)) {
-            const targetPiece = this.board[row][col];
-            if (targetPiece && targetPiece.color !== this.currentPlayer) {
-                polygon.setAttribute('fill', '#e74c3c');
-                polygon.setAttribute('stroke', '#c0392b');
-                polygon.setAttribute('stroke-width', '0.5');
-            } else {
-                polygon.setAttribute('fill', '#7fc97f');
+    // Create the file letters along the bottom edge and the rank numbers along the left edge
+    createCoordinateLabels() {
+        const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        group.setAttribute('class', 'coordinates');
+        group.setAttribute('aria-hidden', 'true'); // The squares carry their names
+
+        this.coordinateElements = { files: [], ranks: [] }; // Labels by display column and display row
+        for (const axis of ['files', 'ranks']) {
+            for (let i = 0; i < 8; i++) {
+                const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+                // Contrast with the square the label sits on: the bottom row and the left column
+                const isLight = axis === 'files' ? (7 + i) % 2 === 0 : i % 2 === 0;
+                label.setAttribute('class', `coordinate ${isLight ? 'on-light' : 'on-dark'}`);
+                label.setAttribute('text-anchor', 'middle');
+                label.setAttribute('dominant-baseline', 'central');
+                this.coordinateElements[axis].push(label);
+                group.appendChild(label);
             }
         }
 
-        // Add click handler
-        polygon.style.cursor = 'pointer';
-        polygon.addEventListener('click', () => this.handleCellClick(row, col));
-
-        return polygon;
+        this.updateCoordinateLabels();
+        return group;
     }
 
-    // Update piece positions based on distorted mesh
-    updatePiecePositions() {
-        if (!this.pieceContainer) return;
+    // Letter and place each coordinate label for the orientation and the current mesh
+    updateCoordinateLabels() {
+        this.coordinateElements.files.forEach((label, col) => {
+            const point = this.getMeshPoint(7.82, col + 0.86);
+            label.textContent = 'abcdefgh'[this.flipped ? 7 - col : col];
+            label.setAttribute('x', point.x);
+            label.setAttribute('y', point.y);
+        });
 
-        const pieces = this.pieceContainer.children;
-        for (let piece of pieces) {
-            const row = parseInt(piece.dataset.row);
-            const col = parseInt(piece.dataset.col);
+        this.coordinateElements.ranks.forEach((label, row) => {
+            const point = this.getMeshPoint(row + 0.18, 0.12);
+            label.textContent = this.flipped ? row + 1 : 8 - row;
+            label.setAttribute('x', point.x);
+            label.setAttribute('y', point.y);
+        });
+    }
 
-            // Calculate center of the cell from its vertices
-            const topLeft = this.vertexGrid[row][col];
-            const topRight = this.vertexGrid[row][col + 1];
-            const bottomRight = this.vertexGrid[row + 1][col + 1];
-            const bottomLeft = this.vertexGrid[row + 1][col];
+    // Color a cell for the checkerboard, the selection and the valid moves, if it changed
+    updateCellStyle(row, col) {
+        const { squares, board, highlights } = this.getTheme();
+        const isLight = (row + col) % 2 === 0;
+        let fill = board ? `url(#board-square-${row}-${col})` : isLight ? squares.light : squares.dark;
+        let stroke = 'none';
 
-            const centerX = (topLeft.x + topRight.x + bottomRight.x + bottomLeft.x) / 4;
-            const centerY = (topLeft.y + topRight.y + bottomRight.y + bottomLeft.y) / 4;
+        // Highlight selected cell
+        if (this.selectedCell && this.selectedCell.row === row && this.selectedCell.col === col) {
+            fill = highlights.selected;
+        }
 
-            // Position piece at center
-            piece.style.position = 'absolute';
-            piece.style.left = `${centerX}%`;
-            piece.style.top = `${centerY}%`;
-            piece.style.transform = 'translate(-50%, -50%)';
-            piece.style.width = '10%';
-            piece.style.height = '10%';
+        // Highlight valid moves
+        if (this.validMoves.some(move => move.row === row && move.col === col)) {
+            const targetPiece = this.position.board[row][col];
+            if (targetPiece && targetPiece.color !== this.position.currentPlayer) {
+                fill = highlights.capture;
+                stroke = highlights.captureBorder;
+            } else {
+                fill = highlights.move;
+            }
         }
-    }
 
-    // Get piece image path
-    getPieceImage(piece) {
-        const pieceFile = `${piece.color}_${piece.type}.png`;
-        return `url('import/chess/${this.theme}/${pieceFile}')`;
-    }
+        const polygon = this.cellElements[row][col];
+        this.updateCellLabel(polygon, row, col);
+        if (polygon.getAttribute('fill') === fill && polygon.getAttribute('stroke') === stroke) return;
 
-    // Handle cell click
-    handleCellClick(row, col) {
-        // Prevent interaction when it's computer's turn
-        if (this.gameMode === 'computer' && this.currentPlayer === this.computerColor) {
-            return;
+        polygon.setAttribute('fill', fill);
+        polygon.setAttribute('stroke', stroke);
+        if (stroke === 'none') {
+            polygon.removeAttribute('stroke-width');
+        } else {
+            polygon.setAttribute('stroke-width', '0.5');
         }
+    }
 
-        const clickedPiece = this.board[row][col];
-
-        // If a cell is already selected
-        if (this.selectedCell) {
-            // Check if clicked cell is a valid move
-            const validMove = this.validMoves.find(move => move.row === row && move.col === col);
+    // Squares each switched-on overlay marks in the position shown, as { type, row, col }, bottom layer first:
+    // squares the side to move's opponent attacks, the last move, a king in check and hanging pieces of both sides
+    getOverlayMarks() {
+        const color = this.position.currentPlayer;
+        const opponent = color === 'white' ? 'black' : 'white';
+        const lastMove = this.position.moveHistory[this.position.moveHistory.length - 1];
+        const marks = [];
 
-            if (validMove) {
-                this.makeMove(this.selectedCell.row, this.selectedCell.col, row, col);
-                this.selectedCell = null;
-                this.validMoves = [];
-            } else if (clickedPiece && clickedPiece.color === this.currentPlayer) {
-                // Select a different piece of the same color
-                this.selectedCell = { row, col };
-                this.validMoves = this.getValidMoves(row, col);
-            } else {
-                // Deselect
-                this.selectedCell = null;
-                this.validMoves = [];
-            }
-        } else {
-            // Select a piece if it belongs to current player
-            if (clickedPiece && clickedPiece.color === this.currentPlayer) {
-                this.selectedCell = { row, col };
-                this.validMoves = this.getValidMoves(row, col);
+        if (this.overlays.attacked) {
+            marks.push(...this.position.getAttackedSquares(opponent).map(square => ({ type: 'attacked', ...square })));
+        }
+        if (this.overlays.lastMove && lastMove) {
+            marks.push({ type: 'lastMove', ...lastMove.from }, { type: 'lastMove', ...lastMove.to });
+        }
+        if (this.overlays.check && this.position.isInCheck(color)) {
+            marks.push({ type: 'check', ...this.position.findKing(color) });
+        }
+        if (this.overlays.hanging) {
+            for (const side of ['white', 'black']) {
+                marks.push(...this.position.getHangingPieces(side).map(square => ({ type: 'hanging', ...square })));
             }
         }
 
-        this.renderBoard();
+        return marks;
     }
 
-    // Get valid moves for a piece
-    getValidMoves(row, col) {
-        const piece = this.board[row][col];
-        if (!piece) return [];
-
-        const moves = [];
-
-        switch (piece.type) {
-            case 'pawn':
-                moves.push(...this.getPawnMoves(row, col, piece.color));
-                break;
-            case 'rook':
-                moves.push(...this.getRookMoves(row, col, piece.color));
-                break;
-            case 'knight':
-                moves.push(...this.getKnightMoves(row, col, piece.color));
-                break;
-            case 'bishop':
-                moves.push(...this.getBishopMoves(row, col, piece.color));
-                break;
-            case 'queen':
-                moves.push(...this.getQueenMoves(row, col, piece.color));
-                break;
-            case 'king':
-                moves.push(...this.getKingMoves(row, col, piece.color));
-                break;
-        }
-
-        // Filter out moves that would put own king in check
-        return moves.filter(move => !this.wouldBeInCheck(row, col, move.row, move.col, piece.color));
-    }
-
-    // Pawn movement
-    getPawnMoves(row, col, color) {
-        const moves = [];
-        const direction = color === 'white' ? -1 : 1;
-        const startRow = color === 'white' ? 6 : 1;
-
-        // Move forward one square
-        if (this.isValidPosition(row + direction, col) && !this.board[row + direction][col]) {
-            moves.push({ row: row + direction, col });
-
-            // Move forward two squares from starting position
-            if (row === startRow && !this.board[row + 2 * direction][col]) {
-                moves.push({ row: row + 2 * direction, col });
-            }
-        }
-
-        // Capture diagonally
-        for (const colOffset of [-1, 1]) {
-            const newRow = row + direction;
-            const newCol = col + colOffset;
-            if (this.isValidPosition(newRow, newCol)) {
-                const targetPiece = this.board[newRow][newCol];
-                if (targetPiece && targetPiece.color !== color) {
-                    moves.push({ row: newRow, col: newCol });
-                }
+    // Redraw the overlays for the position shown, in the theme's colors
+    // (hanging pieces are ringed rather than tinted, so they stay visible over the other overlays)
+    renderOverlays() {
+        const overlays = Object.values(this.overlays).join();
+        if (!this.needsRender('overlays', ...this.getPositionSources(), overlays, this.getTheme(), this.overlayElement)) return;
+        const { highlights } = this.getTheme();
+        this.overlayElement.textContent = '';
+
+        for (const { type, row, col } of this.getOverlayMarks()) {
+            const polygon = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+            polygon.setAttribute('class', 'overlay');
+            polygon.dataset.overlay = type;
+            polygon.dataset.row = row;
+            polygon.dataset.col = col;
+            polygon.setAttribute('points', this.cellElements[row][col].getAttribute('points'));
+            if (type === 'hanging') {
+                polygon.setAttribute('fill', 'none');
+                polygon.setAttribute('stroke', highlights.hanging);
+                polygon.setAttribute('stroke-width', '0.8');
+            } else {
+                polygon.setAttribute('fill', highlights[type]);
             }
+            this.overlayElement.appendChild(polygon);
         }
-
-        return moves;
     }
 
-    // Rook movement
-    getRookMoves(row, col, color) {
-        const moves = [];
-        const directions = [[0, 1], [0, -1], [1, 0], [-1, 0]];
-
-        for (const [dRow, dCol] of directions) {
-            for (let i = 1; i < 8; i++) {
-                const newRow = row + dRow * i;
-                const newCol = col + dCol * i;
-
-                if (!this.isValidPosition(newRow, newCol)) break;
+    // Show or hide one of the board overlays
+    setOverlay(name, shown) {
+        if (!(name in this.overlays)) {
+            throw new Error(`Unknown overlay "${name}"`);
+        }
+        this.overlays[name] = shown;
+        this.renderOverlays();
+        this.autosave();
+    }
 
-                const targetPiece = this.board[newRow][newCol];
-                if (!targetPiece) {
-                    moves.push({ row: newRow, col: newCol });
-                } else {
-                    if (targetPiece.color !== color) {
-                        moves.push({ row: newRow, col: newCol });
-                    }
-                    break;
-                }
-            }
+    // Name a cell for screen readers: its square, what stands on it and whether it is selected or a move target
+    updateCellLabel(polygon, row, col) {
+        const piece = this.position.board[row][col];
+        const selected = !!this.selectedCell && this.selectedCell.row === row && this.selectedCell.col === col;
+        const parts = [this.position.getSquareName(row, col), piece ? `${piece.color} ${piece.type}` : 'empty'];
+        if (selected) {
+            parts.push('selected');
+        }
+        if (this.validMoves.some(move => move.row === row && move.col === col)) {
+            parts.push(piece ? 'can be captured' : 'possible move');
         }
 
-        return moves;
+        const label = parts.join(', ');
+        if (polygon.getAttribute('aria-label') !== label) {
+            polygon.setAttribute('aria-label', label);
+            polygon.setAttribute('aria-selected', selected);
+        }
     }
 
-    // Knight movement
-    getKnightMoves(row, col, color) {
-        const moves = [];
-        const knightMoves = [
-            [-2, -1], [-2, 1], [-1, -2], [-1, 2],
-            [1, -2], [1, 2], [2, -1], [2, 1]
-        ];
+    // Bring the piece overlay in line with the board, animating pieces that moved
+    updatePieces() {
+        const vanished = []; // { element, row, col } no longer matching their square
+        const appeared = []; // { piece, row, col } with no element yet
 
-        for (const [dRow, dCol] of knightMoves) {
-            const newRow = row + dRow;
-            const newCol = col + dCol;
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const index = row * 8 + col;
+                const piece = this.position.board[row][col];
+                const element = this.pieceElements[index];
+
+                if (element && piece && element.dataset.piece === `${piece.color}_${piece.type}`) {
+                    // Unchanged, apart from perhaps the theme
+                    const image = this.getPieceImage(piece);
+                    if (element.style.backgroundImage !== image) element.style.backgroundImage = image;
+                    continue;
+                }
 
-            if (this.isValidPosition(newRow, newCol)) {
-                const targetPiece = this.board[newRow][newCol];
-                if (!targetPiece || targetPiece.color !== color) {
-                    moves.push({ row: newRow, col: newCol });
+                if (element) {
+                    vanished.push({ element, row, col });
+                    this.pieceElements[index] = null;
+                }
+                if (piece) {
+                    appeared.push({ piece, row, col });
                 }
             }
         }
 
-        return moves;
-    }
-
-    // Bishop movement
-    getBishopMoves(row, col, color) {
-        const moves = [];
-        const directions = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+        // Pieces that appeared are the ones that vanished, moved: the same piece first,
+        // then a pawn that promoted (or a promotion taken back)
+        const sameType = (target, source) => source.element.dataset.piece === `${target.piece.color}_${target.piece.type}`;
+        const promotion = (target, source) => {
+            const [color, type] = source.element.dataset.piece.split('_');
+            return color === target.piece.color && (type === 'pawn') !== (target.piece.type === 'pawn');
+        };
 
-        for (const [dRow, dCol] of directions) {
-            for (let i = 1; i < 8; i++) {
-                const newRow = row + dRow * i;
-                const newCol = col + dCol * i;
+        for (const matches of [sameType, promotion]) {
+            for (const target of appeared) {
+                if (target.source) continue;
 
-                if (!this.isValidPosition(newRow, newCol)) break;
+                let nearest = null;
+                let nearestDistance = Infinity;
+                for (const source of vanished) {
+                    if (source.target || !matches(target, source)) continue;
 
-                const targetPiece = this.board[newRow][newCol];
-                if (!targetPiece) {
-                    moves.push({ row: newRow, col: newCol });
-                } else {
-                    if (targetPiece.color !== color) {
-                        moves.push({ row: newRow, col: newCol });
+                    const distance = Math.hypot(source.row - target.row, source.col - target.col);
+                    if (distance < nearestDistance) {
+                        nearest = source;
+                        nearestDistance = distance;
                     }
-                    break;
                 }
+
+                if (nearest) {
+                    target.source = nearest;
+                    nearest.target = target;
+                }
+            }
+        }
+
+        for (const { piece, row, col, source } of appeared) {
+            const element = source ? source.element : this.createPieceElement();
+            element.dataset.piece = `${piece.color}_${piece.type}`;
+            element.dataset.row = row;
+            element.dataset.col = col;
+            element.setAttribute('aria-label', `${piece.color} ${piece.type} on ${this.position.getSquareName(row, col)}`);
+            element.style.backgroundImage = this.getPieceImage(piece);
+            this.pieceElements[row * 8 + col] = element;
+
+            // A dropped piece is already where it belongs
+            if (source && !element.classList.contains('dragging')) {
+                this.animatePiece(element, { row: source.row, col: source.col }, { row, col });
+            } else {
+                this.placePiece(element, row, col);
             }
         }
 
-        return moves;
+        // Captured pieces fade out where they stood
+        for (const { element, row, col, target } of vanished) {
+            if (!target) this.animatePiece(element, { row, col }, { row, col }, true);
+        }
     }
 
-    // Queen movement (combination of rook and bishop)
-    getQueenMoves(row, col, color) {
-        return [
-            ...this.getRookMoves(row, col, color),
-            ...this.getBishopMoves(row, col, color)
-        ];
+    // Create an empty piece element in the overlay
+    createPieceElement() {
+        const element = document.createElement('div');
+        element.className = 'piece';
+        element.setAttribute('role', 'img');
+        this.pieceContainer.appendChild(element);
+        return element;
     }
 
-    // King movement
-    getKingMoves(row, col, color) {
-        const moves = [];
-        const directions = [
-            [-1, -1], [-1, 0], [-1, 1],
-            [0, -1], [0, 1],
-            [1, -1], [1, 0], [1, 1]
-        ];
+    // Slide a piece between cells along the distorted mesh, or fade it out and remove it
+    animatePiece(element, from, to, fadeOut = false) {
+        const running = this.pieceAnimations.get(element);
+        if (running) {
+            // Carry on from wherever the piece is mid-flight
+            from = running.current;
+        }
 
-        for (const [dRow, dCol] of directions) {
-            const newRow = row + dRow;
-            const newCol = col + dCol;
+        if (fadeOut) {
+            element.setAttribute('aria-hidden', 'true'); // Already off the board for screen readers
+        }
 
-            if (this.isValidPosition(newRow, newCol)) {
-                const targetPiece = this.board[newRow][newCol];
-                if (!targetPiece || targetPiece.color !== color) {
-                    moves.push({ row: newRow, col: newCol });
-                }
+        if (!this.reduceMotion) {
+            this.pieceAnimations.set(element, { from, to, current: from, fadeOut, start: performance.now() });
+            element.classList.add('moving');
+            this.placePiece(element, from.row, from.col);
+            if (!this.animationFrame) {
+                this.animationFrame = requestAnimationFrame(now => this.stepPieceAnimations(now));
             }
+            return;
         }
 
-        return moves;
+        this.pieceAnimations.delete(element);
+        if (fadeOut) {
+            element.remove();
+        } else {
+            element.classList.remove('moving');
+            this.placePiece(element, to.row, to.col);
+        }
     }
 
-    // Check if position is valid
-    isValidPosition(row, col) {
-        return row >= 0 && row < 8 && col >= 0 && col < 8;
+    // Whether the user asked the system for less motion
+    prefersReducedMotion() {
+        return !!window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
     }
 
-    // Make a move
-    makeMove(fromRow, fromCol, toRow, toCol) {
-        const piece = this.board[fromRow][fromCol];
-        const capturedPiece = this.board[toRow][toCol];
-
-        // Save move to history
-        this.moveHistory.push({
-            from: { row: fromRow, col: fromCol },
-            to: { row: toRow, col: toCol },
-            piece: { ...piece },
-            capturedPiece: capturedPiece ? { ...capturedPiece } : null
-        });
+    // Ease in and out over t from 0 to 1
+    easeInOut(t) {
+        return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+    }
 
-        // Move the piece
-        this.board[toRow][toCol] = piece;
-        this.board[fromRow][fromCol] = null;
+    // Advance every running piece animation by one frame
+    stepPieceAnimations(now) {
+        for (const [element, animation] of this.pieceAnimations) {
+            const t = Math.min(1, (now - animation.start) / ChessGame.MOVE_ANIMATION_MS);
+            const eased = this.easeInOut(t);
 
-        // Handle pawn promotion
-        if (piece.type === 'pawn' && (toRow === 0 || toRow === 7)) {
-            this.board[toRow][toCol] = { type: 'queen', color: piece.color };
-            this.updateStatus(`${piece.color} pawn promoted to queen!`);
-        }
-
-        // Check for check/checkmate
-        const opponent = this.currentPlayer === 'white' ? 'black' : 'white';
-        if (this.isInCheck(opponent)) {
-            if (this.isCheckmate(opponent)) {
-                this.updateStatus(`Checkmate! ${this.currentPlayer} wins!`);
-                this.renderBoard();
-                return; // Game over, don't trigger computer move
+            if (animation.fadeOut) {
+                element.style.opacity = 1 - eased;
             } else {
-                this.updateStatus(`${opponent} is in check!`);
+                const { from, to } = animation;
+                animation.current = {
+                    row: from.row + (to.row - from.row) * eased,
+                    col: from.col + (to.col - from.col) * eased
+                };
+                this.placePiece(element, animation.current.row, animation.current.col);
+            }
+
+            if (t === 1) {
+                this.pieceAnimations.delete(element);
+                element.classList.remove('moving');
+                if (animation.fadeOut) element.remove();
             }
-        } else {
-            this.updateStatus(`${this.currentPlayer} moved ${piece.type}`);
         }
 
-        // Switch players
-        this.currentPlayer = opponent;
-        this.turnElement.textContent = this.currentPlayer.charAt(0).toUpperCase() + this.currentPlayer.slice(1);
+        this.animationFrame = this.pieceAnimations.size > 0
+            ? requestAnimationFrame(next => this.stepPieceAnimations(next))
+            : null;
+    }
 
-        this.renderBoard();
+    // Update piece positions based on distorted mesh
+    updatePiecePositions() {
+        if (!this.pieceContainer) return;
+
+        // Animating pieces are placed by the next animation frame, and a dragged piece follows the pointer
+        const pieces = this.pieceContainer.children;
+        for (let piece of pieces) {
+            if (this.pieceAnimations.has(piece) || piece.classList.contains('dragging')) continue;
+            this.placePiece(piece, parseInt(piece.dataset.row), parseInt(piece.dataset.col));
+        }
 
-        // Trigger computer move if it's computer's turn
-        if (this.gameMode === 'computer' && this.currentPlayer === this.computerColor) {
-            // Add a small delay for better UX
-            setTimeout(() => this.makeComputerMove(), 500);
+        // Promotion choices sit on the distorted cells too
+        const picker = this.boardElement.querySelector('.promotion-picker');
+        if (picker) {
+            for (let option of picker.children) {
+                this.positionOnCell(option, parseInt(option.dataset.row), parseInt(option.dataset.col), 11);
+            }
         }
     }
 
-    // Check if a color is in check
-    isInCheck(color) {
-        // Find the king
-        let kingPos = null;
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
-                const piece = this.board[row][col];
-                if (piece && piece.type === 'king' && piece.color === color) {
-                    kingPos = { row, col };
-                    break;
-                }
-            }
-            if (kingPos) break;
+    // Map a point in vertex grid units (row and col may be fractional) onto the distorted mesh:
+    // a smooth surface through the vertices when cells are subdivided, flat quads otherwise
+    getMeshPoint(row, col) {
+        if (this.meshSubdivision > 1) {
+            return this.getSmoothMeshPoint(row, col);
         }
 
-        if (!kingPos) return false;
+        // Bilinear interpolation between the four vertices of the cell containing the point
+        const top = Math.min(Math.max(Math.floor(row), 0), 7);
+        const left = Math.min(Math.max(Math.floor(col), 0), 7);
+        const v = row - top;
+        const u = col - left;
 
-        // Check if any opponent piece can attack the king
-        const opponent = color === 'white' ? 'black' : 'white';
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
-                const piece = this.board[row][col];
-                if (piece && piece.color === opponent) {
-                    const moves = this.getValidMovesWithoutCheckTest(row, col);
-                    if (moves.some(move => move.row === kingPos.row && move.col === kingPos.col)) {
-                        return true;
-                    }
-                }
+        const topLeft = this.vertexGrid[top][left];
+        const topRight = this.vertexGrid[top][left + 1];
+        const bottomRight = this.vertexGrid[top + 1][left + 1];
+        const bottomLeft = this.vertexGrid[top + 1][left];
+
+        return {
+            x: (1 - v) * ((1 - u) * topLeft.x + u * topRight.x) + v * ((1 - u) * bottomLeft.x + u * bottomRight.x),
+            y: (1 - v) * ((1 - u) * topLeft.y + u * topRight.y) + v * ((1 - u) * bottomLeft.y + u * bottomRight.y)
+        };
+    }
+
+    // Catmull-Rom surface through the vertex grid: passes through every vertex and bends smoothly between them
+    getSmoothMeshPoint(row, col) {
+        const top = Math.min(Math.max(Math.floor(row), 0), 7);
+        const left = Math.min(Math.max(Math.floor(col), 0), 7);
+        const v = row - top;
+        const u = col - left;
+
+        // Interpolate along each of the four surrounding rows, then down the column of results
+        const rows = [];
+        for (let r = top - 1; r <= top + 2; r++) {
+            const points = [];
+            for (let c = left - 1; c <= left + 2; c++) {
+                points.push(this.getExtendedVertex(r, c));
             }
+            rows.push(this.catmullRom(points, u));
         }
-
-        return false;
+        return this.catmullRom(rows, v);
     }
 
-    // Get valid moves without checking for check (to avoid infinite recursion)
-    getValidMovesWithoutCheckTest(row, col) {
-        const piece = this.board[row][col];
-        if (!piece) return [];
+    // A vertex of the grid, continued in a straight line one step beyond its edges
+    getExtendedVertex(row, col) {
+        const reflect = (edge, inner) => ({ x: 2 * edge.x - inner.x, y: 2 * edge.y - inner.y });
 
-        switch (piece.type) {
-            case 'pawn': return this.getPawnMoves(row, col, piece.color);
-            case 'rook': return this.getRookMoves(row, col, piece.color);
-            case 'knight': return this.getKnightMoves(row, col, piece.color);
-            case 'bishop': return this.getBishopMoves(row, col, piece.color);
-            case 'queen': return this.getQueenMoves(row, col, piece.color);
-            case 'king': return this.getKingMoves(row, col, piece.color);
-            default: return [];
-        }
+        if (row < 0) return reflect(this.getExtendedVertex(0, col), this.getExtendedVertex(1, col));
+        if (row > 8) return reflect(this.getExtendedVertex(8, col), this.getExtendedVertex(7, col));
+        if (col < 0) return reflect(this.getExtendedVertex(row, 0), this.getExtendedVertex(row, 1));
+        if (col > 8) return reflect(this.getExtendedVertex(row, 8), this.getExtendedVertex(row, 7));
+        return this.vertexGrid[row][col];
     }
 
-    // Check if a move would put own king in check
-    wouldBeInCheck(fromRow, fromCol, toRow, toCol, color) {
-        // Simulate the move
-        const piece = this.board[fromRow][fromCol];
-        const capturedPiece = this.board[toRow][toCol];
+    // Point at t (0 to 1) between the middle two of four points on a Catmull-Rom spline
+    catmullRom([p0, p1, p2, p3], t) {
+        const spline = (a, b, c, d) => 0.5 * (2 * b + (c - a) * t + (2 * a - 5 * b + 4 * c - d) * t * t + (3 * b - a - 3 * c + d) * t * t * t);
+        return { x: spline(p0.x, p1.x, p2.x, p3.x), y: spline(p0.y, p1.y, p2.y, p3.y) };
+    }
 
-        this.board[toRow][toCol] = piece;
-        this.board[fromRow][fromCol] = null;
+    // Where a square is drawn: the flipped board shows Black's side at the bottom
+    // (row and col may be fractional mid-animation)
+    getDisplayCell(row, col) {
+        return this.flipped ? { row: 7 - row, col: 7 - col } : { row, col };
+    }
 
-        const inCheck = this.isInCheck(color);
+    // Outline of a cell on the mesh, clockwise from its top left corner, meshSubdivision points per edge
+    getCellOutline(row, col) {
+        ({ row, col } = this.getDisplayCell(row, col));
+        const n = this.meshSubdivision;
+        const points = [];
+        for (let i = 0; i < n; i++) points.push(this.getMeshPoint(row, col + i / n));
+        for (let i = 0; i < n; i++) points.push(this.getMeshPoint(row + i / n, col + 1));
+        for (let i = 0; i < n; i++) points.push(this.getMeshPoint(row + 1, col + 1 - i / n));
+        for (let i = 0; i < n; i++) points.push(this.getMeshPoint(row + 1 - i / n, col));
+        return points;
+    }
 
-        // Undo the move
-        this.board[fromRow][fromCol] = piece;
-        this.board[toRow][toCol] = capturedPiece;
+    // The points attribute of a cell's SVG polygon
+    getCellPolygonPoints(row, col) {
+        return this.getCellOutline(row, col).map(({ x, y }) => `${x},${y}`).join(' ');
+    }
 
-        return inCheck;
+    // Calculate center of a cell from its vertices (row and col may be fractional mid-animation)
+    getCellCenter(row, col) {
+        ({ row, col } = this.getDisplayCell(row, col));
+        return this.getMeshPoint(row + 0.5, col + 0.5);
     }
 
-    // Check if a color is in checkmate
-    isCheckmate(color) {
-        if (!this.isInCheck(color)) return false;
+    // Center a piece on a cell, scaled and skewed to follow the cell's shape around its center
+    placePiece(element, row, col) {
+        this.positionOnCell(element, row, col, 10);
+        ({ row, col } = this.getDisplayCell(row, col));
+
+        // Map the undistorted cell's axes onto the lines through the cell center
+        const cellSize = 100 / 8;
+        const left = this.getMeshPoint(row + 0.5, col);
+        const right = this.getMeshPoint(row + 0.5, col + 1);
+        const top = this.getMeshPoint(row, col + 0.5);
+        const bottom = this.getMeshPoint(row + 1, col + 0.5);
+        const matrix = [right.x - left.x, right.y - left.y, bottom.x - top.x, bottom.y - top.y]
+            .map(value => (value / cellSize).toFixed(4));
+
+        element.style.transform = `translate(-50%, -50%) matrix(${matrix.join(', ')}, 0, 0)`;
+    }
 
-        // Check if any piece can make a move to get out of check
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
-                const piece = this.board[row][col];
-                if (piece && piece.color === color) {
-                    const validMoves = this.getValidMoves(row, col);
-                    if (validMoves.length > 0) {
-                        return false;
-                    }
-                }
-            }
-        }
+    // Center an overlay element on a cell (size is a percentage of the board)
+    positionOnCell(element, row, col, size) {
+        const center = this.getCellCenter(row, col);
 
-        return true;
+        element.style.position = 'absolute';
+        element.style.left = `${center.x}%`;
+        element.style.top = `${center.y}%`;
+        element.style.transform = 'translate(-50%, -50%)';
+        element.style.width = `${size}%`;
+        element.style.height = `${size}%`;
     }
 
-    // Undo last move
-    undoMove() {
-        if (this.moveHistory.length === 0) {
-            this.updateStatus('No moves to undo');
-            return;
-        }
+    // Create the promotion picker overlay for the pending promotion
+    createPromotionPicker() {
+        const { from, to } = this.pendingPromotion;
+        const color = this.position.board[from.row][from.col].color;
+        const direction = to.row === 0 ? 1 : -1; // Stack choices toward the board center
 
-        const lastMove = this.moveHistory.pop();
+        const picker = document.createElement('div');
+        picker.className = 'promotion-picker';
 
-        // Restore the board state
-        this.board[lastMove.from.row][lastMove.from.col] = lastMove.piece;
-        this.board[lastMove.to.row][lastMove.to.col] = lastMove.capturedPiece;
+        // Clicking outside the choices, or Escape, cancels the promotion
+        picker.addEventListener('click', (e) => {
+            if (e.target === picker) this.cancelPromotion();
+        });
+        picker.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.cancelPromotion();
+            }
+        });
 
-        // Switch back to previous player
-        this.currentPlayer = this.currentPlayer === 'white' ? 'black' : 'white';
-        this.turnElement.textContent = this.currentPlayer.charAt(0).toUpperCase() + this.currentPlayer.slice(1);
+        ChessPosition.PROMOTION_PIECES.forEach((type, index) => {
+            const option = document.createElement('button');
+            option.className = 'promotion-option';
+            option.title = type;
+            option.setAttribute('aria-label', `Promote to ${type}`);
+            option.style.backgroundImage = this.getPieceImage({ type, color });
+            option.dataset.row = to.row + index * direction;
+            option.dataset.col = to.col;
+            option.addEventListener('click', () => this.choosePromotion(type));
+            picker.appendChild(option);
+        });
 
-        this.selectedCell = null;
-        this.validMoves = [];
-        this.updateStatus('Move undone');
-        this.renderBoard();
+        return picker;
     }
 
-    // Reset the game
-    resetGame() {
-        this.board = this.initializeBoard();
-        this.currentPlayer = 'white';
-        this.selectedCell = null;
-        this.validMoves = [];
-        this.moveHistory = [];
-        this.turnElement.textContent = 'White';
-        this.updateStatus('Game reset. White moves first.');
-        this.renderBoard();
+    // Complete the pending promotion with the chosen piece
+    choosePromotion(type) {
+        const { from, to } = this.pendingPromotion;
+        this.pendingPromotion = null;
+        this.makeMove(from.row, from.col, to.row, to.col, type);
     }
 
-    // Change theme
-    changeTheme(theme) {
-        this.theme = theme;
+    // Close the promotion picker without moving
+    cancelPromotion() {
+        this.pendingPromotion = null;
         this.renderBoard();
     }
 
-    // Change game mode
-    changeGameMode(mode) {
-        this.gameMode = mode;
-        this.resetGame();
-        if (mode === 'computer') {
-            this.updateStatus('Game started. You are White, Computer is Black.');
-        } else {
-            this.updateStatus('Game started. White moves first.');
-        }
+    // Get piece image path
+    getPieceImage(piece) {
+        return `url('${getPieceURL(this.getTheme(), piece)}')`;
     }
 
-    // Make computer move
-    makeComputerMove() {
-        if (this.currentPlayer !== this.computerColor) {
+    // Handle cell click
+    handleCellClick(row, col) {
+        // Prevent interaction once the game has ended
+        if (this.gameOver) {
             return;
         }
 
-        const move = this.aiStrategy.selectMove(this.computerColor);
-        if (move) {
-            this.makeMove(move.from.row, move.from.col, move.to.row, move.to.col);
-        } else {
-            this.updateStatus('Computer has no valid moves!');
+        // Prevent interaction when it's computer's turn
+        if (this.isComputerTurn()) {
+            return;
         }
+
+        const clickedPiece = this.position.board[row][col];
+
+        // If a cell is already selected
+        if (this.selectedCell) {
+            // Check if clicked cell is a valid move
+            const validMove = this.validMoves.find(move => move.row === row && move.col === col);
+
+            if (validMove) {
+                this.moveSelectedPiece(row, col);
+            } else if (clickedPiece && clickedPiece.color === this.position.currentPlayer) {
+                // Select a different piece of the same color
+                this.selectedCell = { row, col };
+                this.validMoves = this.position.getValidMoves(row, col);
+            } else {
+                // Deselect
+                this.selectedCell = null;
+                this.validMoves = [];
+            }
+        } else {
+            // Select a piece if it belongs to current player
+            if (clickedPiece && clickedPiece.color === this.position.currentPlayer) {
+                this.selectedCell = { row, col };
+                this.validMoves = this.position.getValidMoves(row, col);
+            }
+        }
+
+        this.renderBoard();
+    }
+
+    // Play on the board from the keyboard: arrows move the cursor, Enter or Space clicks the square under it
+    // and Escape drops the selection
+    handleBoardKeyDown(e) {
+        if (e.target !== this.boardElement) return; // Keys in the promotion picker are its own
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+        // Arrows move across the screen, so they run the other way on a flipped board
+        const steps = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+        const sign = this.flipped ? -1 : 1;
+        if (steps[e.key]) {
+            const [rowStep, colStep] = steps[e.key];
+            this.moveCursor(this.cursor.row + rowStep * sign, this.cursor.col + colStep * sign);
+        } else if (e.key === 'Home' || e.key === 'End') {
+            // Jump to the left or right edge of the cursor's row
+            this.moveCursor(this.cursor.row, (e.key === 'Home') === this.flipped ? 7 : 0);
+        } else if (e.key === 'Enter' || e.key === ' ') {
+            this.activateCursor();
+        } else if (e.key === 'Escape' && this.selectedCell) {
+            this.selectedCell = null;
+            this.validMoves = [];
+            this.renderBoard();
+            this.announce('Selection cleared');
+        } else {
+            return;
+        }
+
+        e.preventDefault();
+        this.boardElement.classList.add('keyboard-active');
+    }
+
+    // Put the keyboard cursor on a square, staying on the board
+    moveCursor(row, col) {
+        this.cursor = { row: Math.max(0, Math.min(7, row)), col: Math.max(0, Math.min(7, col)) };
+        this.updateCursor();
+    }
+
+    // Click the square under the keyboard cursor, announcing a selection and opening a promotion in the picker
+    activateCursor() {
+        const { row, col } = this.cursor;
+        this.handleCellClick(row, col);
+
+        if (this.pendingPromotion) {
+            this.boardElement.querySelector('.promotion-option').focus();
+            this.announce('Choose a piece to promote to');
+        } else if (this.selectedCell && this.selectedCell.row === row && this.selectedCell.col === col) {
+            const piece = this.position.board[row][col];
+            const count = this.validMoves.length;
+            this.announce(`${piece.color} ${piece.type} on ${this.position.getSquareName(row, col)} selected, ${count} possible move${count === 1 ? '' : 's'}`);
+        }
+    }
+
+    // Draw the keyboard cursor on its square and point the board's active descendant at it
+    updateCursor() {
+        if (!this.cursorElement) return;
+        const { row, col } = this.cursor;
+        this.cursorElement.setAttribute('points', this.getCellPolygonPoints(row, col));
+        this.boardElement.setAttribute('aria-activedescendant', this.cellElements[row][col].id);
+    }
+
+    // Play a move typed into the move box, as SAN ("Nf3", "exd5", "O-O") or UCI ("g1f3")
+    playTypedMove() {
+        const text = this.moveInputElement.value.trim();
+        if (!text) return;
+
+        let problem = null;
+        const move = this.position.findTypedMove(text);
+        if (this.gameOver) {
+            problem = 'The game is over';
+        } else if (this.isComputerTurn()) {
+            problem = 'Wait for the computer to move';
+        } else if (!move) {
+            problem = `${text} is not a legal move for ${this.position.currentPlayer}`;
+        }
+
+        if (problem) {
+            this.updateStatus(problem);
+            this.announce(problem);
+            return;
+        }
+
+        this.moveInputElement.value = '';
+        this.selectedCell = null;
+        this.validMoves = [];
+        this.pendingPromotion = null;
+        this.makeMove(move.from.row, move.from.col, move.to.row, move.to.col, move.promotion);
+    }
+
+    // Move the selected piece to one of its valid targets
+    moveSelectedPiece(row, col) {
+        if (this.position.isPromotionMove(this.selectedCell.row, this.selectedCell.col, row)) {
+            // Ask which piece to promote to before moving
+            this.pendingPromotion = { from: this.selectedCell, to: { row, col } };
+        } else {
+            this.makeMove(this.selectedCell.row, this.selectedCell.col, row, col);
+        }
+        this.selectedCell = null;
+        this.validMoves = [];
+    }
+
+    // Convert a pointer position to board coordinates (percent, like the vertex grid)
+    getBoardPoint(e) {
+        const rect = this.boardElement.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) / rect.width * 100,
+            y: (e.clientY - rect.top) / rect.height * 100
+        };
+    }
+
+    // Find the cell whose distorted polygon contains a board point
+    getCellAtPoint(x, y) {
+        // Later cells are drawn on top, so they win where distorted cells overlap
+        for (let row = 7; row >= 0; row--) {
+            for (let col = 7; col >= 0; col--) {
+                if (this.isPointInCell(x, y, row, col)) {
+                    return { row, col };
+                }
+            }
+        }
+        return null;
+    }
+
+    // Point-in-polygon test (ray casting) against a cell's outline
+    isPointInCell(x, y, row, col) {
+        const corners = this.getCellOutline(row, col);
+
+        let inside = false;
+        for (let i = 0, j = corners.length - 1; i < corners.length; j = i++) {
+            const a = corners[i];
+            const b = corners[j];
+            if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    // Start tracking a press on the board; it becomes a drag once the pointer moves
+    handlePointerDown(e) {
+        if (this.editingMesh) {
+            this.handleMeshPointerDown(e);
+            return;
+        }
+        if (e.button !== 0 || this.pendingPromotion || this.drag) return;
+
+        const point = this.getBoardPoint(e);
+        const cell = this.getCellAtPoint(point.x, point.y);
+        if (!cell) return;
+
+        e.preventDefault();
+        this.boardElement.setPointerCapture(e.pointerId);
+        this.drag = { pointerId: e.pointerId, from: cell, startX: e.clientX, startY: e.clientY, element: null };
+    }
+
+    // Lift the pressed piece once the pointer has moved far enough, then follow the pointer
+    handlePointerMove(e) {
+        if (this.editingMesh) {
+            this.handleMeshPointerMove(e);
+            return;
+        }
+
+        const drag = this.drag;
+        if (!drag || e.pointerId !== drag.pointerId) return;
+
+        if (!drag.element) {
+            if (Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) < ChessGame.DRAG_THRESHOLD) return;
+
+            // Swiping from a square without a movable piece is neither a click nor a drag
+            if (!this.canDragFrom(drag.from.row, drag.from.col)) {
+                this.drag = null;
+                return;
+            }
+
+            this.selectedCell = drag.from;
+            this.validMoves = this.position.getValidMoves(drag.from.row, drag.from.col);
+            this.renderBoard();
+
+            drag.element = this.getPieceElement(drag.from.row, drag.from.col);
+            this.pieceAnimations.delete(drag.element);
+            drag.element.classList.remove('moving');
+            drag.element.classList.add('dragging');
+            this.boardElement.classList.add('dragging');
+        }
+
+        // The position may have changed under the drag (e.g. a game was loaded)
+        if (this.getPieceElement(drag.from.row, drag.from.col) !== drag.element) {
+            this.cancelDrag();
+            return;
+        }
+
+        const point = this.getBoardPoint(e);
+        drag.element.style.left = `${point.x}%`;
+        drag.element.style.top = `${point.y}%`;
+    }
+
+    // Finish a press: a click if the pointer stayed put, otherwise a drop
+    handlePointerUp(e) {
+        if (this.editingMesh) {
+            this.handleMeshPointerUp(e);
+            return;
+        }
+
+        const drag = this.drag;
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        this.drag = null;
+        this.boardElement.classList.remove('dragging');
+
+        const point = this.getBoardPoint(e);
+        const cell = this.getCellAtPoint(point.x, point.y);
+
+        if (!drag.element) {
+            if (cell) this.handleCellClick(cell.row, cell.col);
+            return;
+        }
+
+        // Legal drops move the piece; anything else snaps back with the piece still selected
+        if (cell && this.selectedCell && this.getPieceElement(drag.from.row, drag.from.col) === drag.element &&
+            this.validMoves.some(move => move.row === cell.row && move.col === cell.col)) {
+            this.moveSelectedPiece(cell.row, cell.col);
+        }
+        this.releasePiece(drag.element);
+    }
+
+    // Abandon a drag: put a dragged piece back on its square, or stop moving vertices
+    cancelDrag() {
+        this.meshDrag = null;
+        if (!this.drag) return;
+
+        const dragged = this.drag.element;
+        this.drag = null;
+        this.boardElement.classList.remove('dragging');
+        if (dragged) this.releasePiece(dragged);
+    }
+
+    // Put a dragged piece down on whichever square it now belongs to
+    releasePiece(element) {
+        element.classList.remove('dragging');
+        this.renderBoard();
+        if (!this.pieceAnimations.has(element)) {
+            this.placePiece(element, parseInt(element.dataset.row), parseInt(element.dataset.col));
+        }
+    }
+
+    // Whether the player may pick up the piece on a cell
+    canDragFrom(row, col) {
+        const piece = this.position.board[row][col];
+        return !this.gameOver && !this.isComputerTurn() && !!piece && piece.color === this.position.currentPlayer;
+    }
+
+    // Find the overlay element showing the piece on a cell
+    getPieceElement(row, col) {
+        return this.pieceElements[row * 8 + col];
+    }
+
+    // Make a move (the position's 'move' event updates the page)
+    makeMove(fromRow, fromCol, toRow, toCol, promotion = 'queen') {
+        // A move made after the flag fell does not count
+        if (this.flagResult || this.checkClockFlag()) return;
+
+        this.position.makeMove(fromRow, fromCol, toRow, toCol, promotion);
+    }
+
+    // Show a move just played, then let the computer reply
+    showMove(move, result) {
+        const piece = move.piece;
+        const player = piece.color;
+        const opponent = this.position.currentPlayer;
+        const spoken = this.position.describeMove(move);
+
+        if (this.clock) this.clock.press(player);
+        this.addMoveToTree(move);
+        this.autosave();
+        this.updateTurnIndicator();
+
+        // Handle pawn promotion
+        if (move.promotion) {
+            this.updateStatus(`${piece.color} pawn promoted to ${move.promotion}!`);
+        }
+
+        // Check for checkmate and draws
+        this.gameOver = result;
+        if (this.gameOver) {
+            if (this.clock) this.clock.pause();
+            this.updateStatus(this.describeGameResult(this.gameOver));
+            this.announce(`${spoken}. ${this.describeGameResult(this.gameOver)}`);
+            this.renderBoard();
+            this.renderClocks();
+            return; // Game over, don't trigger computer move
+        }
+
+        this.announce(this.position.isInCheck(opponent) ? `${spoken}, check` : spoken);
+        if (this.position.isInCheck(opponent)) {
+            this.updateStatus(`${opponent} is in check!`);
+        } else if (move.castle) {
+            const side = move.castle.side === 'kingSide' ? 'king side' : 'queen side';
+            this.updateStatus(`${player} castled ${side}`);
+        } else if (move.enPassant) {
+            this.updateStatus(`${player} captured en passant`);
+        } else {
+            this.updateStatus(`${player} moved ${piece.type}`);
+        }
+
+        this.renderBoard();
+        this.scheduleComputerMove();
+    }
+
+    // Check if the computer is to move
+    isComputerTurn() {
+        return this.gameMode === 'computer' && this.position.currentPlayer === this.computerColor;
+    }
+
+    // Trigger computer move if it's computer's turn
+    scheduleComputerMove() {
+        if (this.isComputerTurn() && !this.gameOver) {
+            // Add a small delay for better UX (navigating or loading a game meanwhile cancels the move)
+            const requestId = this.aiRequestId;
+            setTimeout(() => {
+                if (requestId === this.aiRequestId) this.makeComputerMove();
+            }, 500);
+        }
+    }
+
+    // Describe a game result for the status bar
+    describeGameResult(result) {
+        switch (result.reason) {
+            case 'checkmate':
+                return `Checkmate! ${result.winner} wins!`;
+            case 'stalemate':
+                return 'Stalemate! The game is a draw.';
+            case 'fifty-move-rule':
+                return 'Draw by the fifty-move rule.';
+            case 'threefold-repetition':
+                return 'Draw by threefold repetition.';
+            case 'insufficient-material':
+                return 'Draw by insufficient material.';
+            case 'timeout':
+                return `${result.flagged} ran out of time. ${result.winner} wins!`;
+            case 'timeout-insufficient-material':
+                return `${result.flagged} ran out of time, but ${result.flagged === 'white' ? 'black' : 'white'} cannot checkmate. Draw.`;
+            default:
+                return 'Game over.';
+        }
+    }
+
+    // Undo last move (in computer mode, back to the player's previous turn)
+    undoMove() {
+        // When the computer opened as White, its first move alone is not the player's to undo
+        const openingOnly = this.currentNode.parent && !this.currentNode.parent.parent && this.gameMode === 'computer' && !this.isComputerTurn();
+        if (!this.currentNode.parent || openingOnly) {
+            this.updateStatus('No moves to undo');
+            return;
+        }
+
+        this.cancelComputerMove();
+
+        // Undone moves stay in the tree and go on the redo stack
+        do {
+            this.redoStack.push(this.currentNode);
+            this.moveToNode(this.currentNode.parent);
+        } while (this.isComputerTurn() && this.currentNode.parent);
+
+        this.showNavigatedPosition('Move undone');
+    }
+
+    // Redo the last undone move (in computer mode, through the computer's reply)
+    redoMove() {
+        if (this.redoStack.length === 0) {
+            this.updateStatus('No moves to redo');
+            return;
+        }
+
+        this.cancelComputerMove();
+
+        do {
+            this.moveToNode(this.redoStack.pop());
+        } while (this.isComputerTurn() && this.redoStack.length > 0);
+
+        this.showNavigatedPosition('Move redone');
+    }
+
+    // Reset the game, optionally from a FEN position (throws on malformed FEN)
+    resetGame(fen = ChessPosition.START_FEN) {
+        this.position.loadFEN(fen);
+        if (fen === ChessPosition.START_FEN) this.updateStatus('Game reset. White moves first.');
+    }
+
+    // Refresh the UI after the position was replaced (reset, FEN or PGN load)
+    showLoadedPosition() {
+        const turn = this.position.currentPlayer.charAt(0).toUpperCase() + this.position.currentPlayer.slice(1);
+
+        this.buildMoveTree();
+        this.cancelComputerMove();
+        this.selectedCell = null;
+        this.validMoves = [];
+        this.pendingPromotion = null;
+        this.flagResult = null;
+        this.gameOver = this.position.getGameResult();
+        this.resetClock();
+        this.updateTurnIndicator();
+        const status = this.gameOver ? this.describeGameResult(this.gameOver) : `Position loaded. ${turn} to move.`;
+        this.updateStatus(status);
+        this.announce(status);
+        this.renderBoard();
+        this.autosave();
+        this.scheduleComputerMove();
+    }
+
+    // Change theme
+    changeTheme(theme) {
+        this.theme = theme;
+        this.applyTheme();
+        this.renderBoard();
+        this.autosave();
+    }
+
+    // The selected theme, or Classic until it has loaded
+    getTheme() {
+        return THEMES.get(this.theme) || THEMES.get('chess');
+    }
+
+    // Load the theme packs and offer them in the theme selector
+    loadThemes() {
+        loadThemePacks().then(({ failed }) => {
+            this.populateThemeSelector();
+            // The selected theme (say, from a saved game) may only just have arrived
+            this.applyTheme();
+            this.renderBoard();
+            if (failed.length) {
+                this.updateStatus(`Some themes could not be loaded: ${failed.map(({ name, error }) => `${name} (${error.message})`).join(', ')}`);
+            }
+        }).catch(() => {
+            // Pages opened from file:// can't fetch the manifests; Classic is all there is
+        });
+    }
+
+    // List every registered theme in the theme selector
+    populateThemeSelector() {
+        this.themeSelectElement.innerHTML = '';
+        for (const { name, label } of THEMES.values()) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = label;
+            this.themeSelectElement.appendChild(option);
+        }
+        this.themeSelectElement.value = this.getTheme().name;
+    }
+
+    // Set up the board for the theme's background, board texture and label colors
+    // (cells and pieces follow on the next renderBoard)
+    applyTheme() {
+        if (!this.svgElement) return;
+        const { squares, board, background } = this.getTheme();
+
+        this.boardElement.style.background = background || '';
+
+        // A board texture fills each cell with its own square of the image, through one pattern per square
+        const oldPatterns = this.svgElement.querySelector('defs.board-texture');
+        if (oldPatterns) oldPatterns.remove();
+        if (board) {
+            const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+            defs.setAttribute('class', 'board-texture');
+            for (let row = 0; row < 8; row++) {
+                for (let col = 0; col < 8; col++) {
+                    const pattern = document.createElementNS('http://www.w3.org/2000/svg', 'pattern');
+                    pattern.id = `board-square-${row}-${col}`;
+                    pattern.setAttribute('width', '1');
+                    pattern.setAttribute('height', '1');
+                    pattern.setAttribute('patternContentUnits', 'objectBoundingBox');
+
+                    const image = document.createElementNS('http://www.w3.org/2000/svg', 'image');
+                    image.setAttribute('href', board);
+                    image.setAttribute('x', -col);
+                    image.setAttribute('y', -row);
+                    image.setAttribute('width', '8');
+                    image.setAttribute('height', '8');
+                    image.setAttribute('preserveAspectRatio', 'none');
+                    pattern.appendChild(image);
+                    defs.appendChild(pattern);
+                }
+            }
+            this.svgElement.insertBefore(defs, this.svgElement.firstChild);
+        }
+
+        // Labels take the color of the opposite squares
+        for (const label of this.svgElement.querySelectorAll('.coordinate')) {
+            label.style.fill = label.classList.contains('on-light') ? squares.dark : squares.light;
+        }
+    }
+
+    // Change game mode ('human' or 'computer-<difficulty>')
+    changeGameMode(mode) {
+        const [gameMode, difficulty] = mode.split('-');
+        this.cancelComputerMove();
+        this.gameMode = gameMode;
+        if (gameMode === 'computer') {
+            this.difficulty = difficulty;
+            this.aiStrategy = this.createAIStrategy(difficulty);
+        }
+
+        this.resetGame();
+        if (gameMode === 'computer') {
+            const player = this.computerColor === 'white' ? 'Black' : 'White';
+            const computer = this.computerColor === 'white' ? 'White' : 'Black';
+            this.updateStatus(`Game started (${difficulty}). You are ${player}, Computer is ${computer}.`);
+        } else {
+            this.updateStatus('Game started. White moves first.');
+        }
+    }
+
+    // Choose the side the player plays; the computer takes the other and the board turns to face the player
+    setPlayerColor(color) {
+        const side = color === 'white' ? 'White' : 'Black';
+        this.computerColor = color === 'white' ? 'black' : 'white';
+        this.flipped = color === 'black';
+        this.updateSVGCells();
+        this.renderCapturedPieces();
+        this.autosave();
+
+        if (this.gameMode === 'computer') {
+            // The computer plays on from here if the switch made it its turn
+            this.cancelComputerMove();
+            this.updateStatus(`You are now ${side}.`);
+            if (!this.currentNode.children.length) this.scheduleComputerMove();
+        } else {
+            this.updateStatus(`Board shown from ${side}'s side.`);
+        }
+    }
+
+    // Turn the board around without changing sides
+    flipBoard() {
+        this.flipped = !this.flipped;
+        this.updateSVGCells();
+        this.renderCapturedPieces();
+        this.autosave();
+        this.updateStatus(`Board shown from ${this.flipped ? 'Black' : 'White'}'s side.`);
+    }
+
+    // Create the computer strategy for a difficulty, in a worker if enabled
+    createAIStrategy(difficulty) {
+        const options = ChessGame.AI_DIFFICULTIES[difficulty];
+        if (this.useAIWorker && typeof Worker !== 'undefined') {
+            return new WorkerAI(this.position, { strategy: 'MinimaxAI', options });
+        }
+        return new MinimaxAI(this.position, options);
+    }
+
+    // Switch computer searches between a Web Worker and the main thread
+    setAIWorker(enabled) {
+        this.useAIWorker = enabled;
+        if (this.gameMode !== 'computer') return;
+
+        // Restart any search in progress with the new strategy (the computer only plays on from the end of a line)
+        this.cancelComputerMove();
+        this.aiStrategy = this.createAIStrategy(this.difficulty);
+        if (!this.currentNode.children.length) {
+            this.scheduleComputerMove();
+        }
+    }
+
+    // Change the time control ('none', a ChessClock.PRESETS key or 'custom') and start a new game
+    changeTimeControl(value) {
+        this.customTimeElement.hidden = value !== 'custom';
+
+        if (value === 'custom') {
+            const timeControl = this.readCustomTimeControl();
+            if (!timeControl) {
+                this.updateStatus('Custom clock needs a positive number of minutes and bonus seconds of 0 or more');
+                return;
+            }
+            this.timeControl = timeControl;
+        } else {
+            this.timeControl = ChessClock.PRESETS[value] || null;
+        }
+
+        this.resetGame();
+    }
+
+    // Read the custom time control fields, or null if they are invalid
+    readCustomTimeControl() {
+        const minutes = parseFloat(document.getElementById('custom-minutes').value);
+        const bonus = parseFloat(document.getElementById('custom-bonus').value);
+        if (!(minutes > 0) || !(bonus >= 0)) return null;
+
+        return {
+            initial: Math.round(minutes * 60000),
+            bonus: Math.round(bonus * 1000),
+            bonusType: document.getElementById('custom-bonus-type').value
+        };
+    }
+
+    // Set the clock selector (and the custom fields) to the current time control
+    showTimeControl() {
+        const timeControl = this.timeControl;
+        const preset = timeControl && Object.keys(ChessClock.PRESETS).find(key =>
+            ['initial', 'bonus', 'bonusType'].every(field => ChessClock.PRESETS[key][field] === timeControl[field]));
+
+        if (!timeControl || preset) {
+            document.getElementById('time-control').value = preset || 'none';
+        } else {
+            document.getElementById('time-control').value = 'custom';
+            document.getElementById('custom-minutes').value = timeControl.initial / 60000;
+            document.getElementById('custom-bonus').value = timeControl.bonus / 1000;
+            document.getElementById('custom-bonus-type').value = timeControl.bonusType;
+        }
+        this.customTimeElement.hidden = !!preset || !timeControl;
+    }
+
+    // Put the times from a save back on the clocks and restart the side whose time was running
+    // (a flag that had fallen still ends the game)
+    restoreClock({ remaining, running }) {
+        this.clock.remaining = { ...remaining };
+        const flagged = ['white', 'black'].find(color => remaining[color] <= 0);
+        if (flagged) {
+            this.flagResult = this.position.getTimeoutResult(flagged);
+            this.gameOver = this.flagResult;
+            this.cancelComputerMove();
+        } else if (running) {
+            this.clock.start(running);
+        }
+        this.renderClocks();
+    }
+
+    // Set up fresh clocks for a new game; they start with the first move
+    resetClock() {
+        clearInterval(this.clockTimer);
+        this.clock = this.timeControl ? new ChessClock(this.timeControl) : null;
+        this.clockTimer = this.clock ? setInterval(() => this.updateClocks(), 100) : null;
+        this.renderClocks();
+    }
+
+    // Timer tick: end the game if a flag fell, then refresh the display
+    updateClocks() {
+        this.checkClockFlag();
+        this.renderClocks();
+    }
+
+    // End the game if the running clock has reached zero; returns true if it has
+    checkClockFlag() {
+        const color = this.clock && this.clock.running;
+        if (!color || this.clock.getRemaining(color) > 0) return false;
+
+        this.clock.pause();
+        this.cancelComputerMove();
+        this.flagResult = this.position.getTimeoutResult(color);
+        this.gameOver = this.flagResult;
+        this.selectedCell = null;
+        this.validMoves = [];
+        this.pendingPromotion = null;
+        this.updateStatus(this.describeGameResult(this.gameOver));
+        this.announce(this.describeGameResult(this.gameOver));
+        this.renderBoard();
+        this.renderClocks();
+        this.autosave();
+        return true;
+    }
+
+    // Show both clocks in the info bar, highlighting the one that is running
+    renderClocks() {
+        this.clocksElement.hidden = !this.clock;
+        if (!this.clock) return;
+
+        for (const color of ['white', 'black']) {
+            const element = this.clockElements[color];
+            element.querySelector('.clock-time').textContent = this.clock.format(color);
+            element.classList.toggle('active', this.clock.running === color);
+            element.classList.toggle('low', this.clock.getRemaining(color) < 10000);
+            element.classList.toggle('flagged', !!this.gameOver && this.gameOver.flagged === color);
+        }
+    }
+
+    // Make computer move
+    makeComputerMove() {
+        if (this.gameOver || this.position.currentPlayer !== this.computerColor) {
+            return;
+        }
+
+        const requestId = ++this.aiRequestId;
+        this.updateStatus('Computer is thinking…');
+
+        // A strategy may answer at once or with a Promise, and may throw either way
+        new Promise(resolve => resolve(this.aiStrategy.selectMove(this.computerColor))).then((move) => {
+            // Ignore searches cancelled by undo, reset or a mode change
+            if (requestId !== this.aiRequestId) return;
+
+            if (move) {
+                this.makeMove(move.from.row, move.from.col, move.to.row, move.to.col, move.promotion);
+            } else {
+                this.updateStatus('Computer has no valid moves!');
+            }
+        }).catch((err) => {
+            if (requestId !== this.aiRequestId) return;
+            this.updateStatus(`Computer could not move: ${err.message}`);
+        });
+    }
+
+    // Abandon a computer search in progress
+    cancelComputerMove() {
+        this.aiRequestId++;
+        this.aiStrategy.cancel();
+    }
+
+    // Load the FEN typed into the FEN box
+    loadFENFromInput() {
+        const fen = document.getElementById('fen-input').value;
+        try {
+            this.resetGame(fen);
+        } catch (err) {
+            this.updateStatus(`Invalid FEN: ${err.message}`);
+        }
+    }
+
+    // Show the current FEN in the FEN box and copy it to the clipboard
+    copyFEN() {
+        const input = document.getElementById('fen-input');
+        input.value = this.position.toFEN();
+        this.copyFromField(input, 'FEN');
+    }
+
+    // Copy a text field's value to the clipboard, or select it for manual copying
+    copyFromField(field, label) {
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(field.value).then(() => {
+                this.updateStatus(`${label} copied to clipboard.`);
+            }).catch(() => {
+                field.select();
+                this.updateStatus(`Select the ${label} in the box to copy it.`);
+            });
+        } else {
+            field.select();
+            this.updateStatus(`Select the ${label} in the box to copy it.`);
+        }
+    }
+
+    // Get the PGN result token for the game
+    getResultToken() {
+        if (!this.gameOver) return '*';
+        if (!this.gameOver.winner) return '1/2-1/2';
+        return this.gameOver.winner === 'white' ? '1-0' : '0-1';
+    }
+
+    // Import the PGN typed into the PGN box
+    importPGNFromInput() {
+        const pgn = document.getElementById('pgn-input').value;
+        let game;
+        try {
+            game = this.position.parsePGN(pgn);
+        } catch (err) {
+            this.updateStatus(`Invalid PGN: ${err.message}`);
+            return;
+        }
+
+        this.position.loadFEN(game.fen, game.moves);
+        if (!this.gameOver) {
+            const turn = this.position.currentPlayer.charAt(0).toUpperCase() + this.position.currentPlayer.slice(1);
+            this.updateStatus(`Imported ${game.moves.length} moves. ${turn} to move.`);
+        }
+    }
+
+    // Show the game's PGN in the PGN box and copy it to the clipboard
+    exportPGN() {
+        const line = this.getShownLine();
+
+        const computer = `Computer (${this.difficulty})`;
+        const players = {
+            white: this.gameMode === 'computer' && this.computerColor === 'white' ? computer : 'Player',
+            black: this.gameMode === 'computer' && this.computerColor === 'black' ? computer : 'Player'
+        };
+
+        const input = document.getElementById('pgn-input');
+        input.value = this.position.toPGN({
+            moves: line,
+            result: this.currentNode.children.length ? '*' : this.getResultToken(),
+            players
+        });
+        this.copyFromField(input, 'PGN');
+    }
+
+    // The line shown in the move list, including moves after the one being viewed
+    getShownLine() {
+        const line = this.position.moveHistory.map(move => this.getTreeMove(move));
+        for (let node = this.currentNode.children[0]; node; node = node.children[0]) {
+            line.push(node.move);
+        }
+        return line;
+    }
+
+    // A SaveStore over localStorage, or null where the browser blocks it (some do for local files or private windows)
+    openSaveStore() {
+        try {
+            return window.localStorage ? new SaveStore(window.localStorage) : null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    // The game as a save: the shown line (variations are not kept) and the settings it was played with
+    getSave() {
+        return {
+            version: SAVE_VERSION,
+            savedAt: new Date().toISOString(),
+            fen: this.position.initialFEN,
+            moves: this.getShownLine().map(move => this.position.getUCI(move)),
+            ply: this.position.moveHistory.length,
+            clock: this.clock && {
+                timeControl: { ...this.timeControl },
+                remaining: { white: this.clock.getRemaining('white'), black: this.clock.getRemaining('black') },
+                running: this.clock.running
+            },
+            settings: {
+                gameMode: this.gameMode,
+                difficulty: this.difficulty,
+                computerColor: this.computerColor,
+                flipped: this.flipped,
+                theme: this.theme,
+                view: this.currentView,
+                mesh: VIEWS.has(this.currentView) && VIEWS.get(this.currentView).mesh || null,
+                overlays: { ...this.overlays }
+            }
+        };
+    }
+
+    // Save the game so that it survives a page reload
+    autosave() {
+        if (!this.saves) return;
+        try {
+            this.saves.setAutosave(this.getSave());
+        } catch (err) {
+            // Storage full or blocked: the game goes on unsaved
+        }
+    }
+
+    // Resume the game autosaved by the last visit, if any
+    restoreAutosave() {
+        if (!this.saves) return;
+        try {
+            const save = this.saves.getAutosave();
+            if (save) this.restoreGame(save, 'Resumed your last game.');
+        } catch (err) {
+            this.updateStatus(`Could not resume your last game: ${err.message}`);
+        }
+    }
+
+    // Replace the game with a save, throwing an Error (before changing anything) if its moves don't replay
+    restoreGame(save, message) {
+        const game = new ChessPosition();
+        game.loadFEN(save.fen);
+        const moves = save.moves.map((uci, index) => {
+            const move = game.findMoveByUCI(uci);
+            if (!move) {
+                throw new Error(`move ${index + 1} (${uci}) is not legal`);
+            }
+            game.applyMove(move.from.row, move.from.col, move.to.row, move.to.col, move.promotion);
+            return move;
+        });
+
+        const { gameMode, difficulty, computerColor, flipped, theme, view, mesh, overlays } = save.settings;
+        this.cancelComputerMove();
+        if (gameMode === 'computer' && ChessGame.AI_DIFFICULTIES[difficulty]) {
+            this.gameMode = 'computer';
+            this.difficulty = difficulty;
+            this.aiStrategy = this.createAIStrategy(difficulty);
+            document.getElementById('game-mode').value = `computer-${difficulty}`;
+        } else {
+            this.gameMode = 'human';
+            document.getElementById('game-mode').value = 'human';
+        }
+        this.computerColor = computerColor === 'white' ? 'white' : 'black';
+        document.getElementById('player-color').value = this.computerColor === 'white' ? 'black' : 'white';
+        this.flipped = !!flipped;
+        // Saves from before the overlays keep the current choices
+        for (const name of Object.keys(this.overlays)) {
+            if (overlays && typeof overlays[name] === 'boolean') this.overlays[name] = overlays[name];
+        }
+        document.querySelectorAll('[data-overlay]').forEach(toggle => {
+            toggle.checked = this.overlays[toggle.dataset.overlay];
+        });
+        // A theme that hasn't loaded yet is drawn as Classic until it does
+        if (typeof theme === 'string') {
+            this.theme = theme;
+            this.applyTheme();
+            this.populateThemeSelector();
+        }
+        // Edited meshes are gone after a reload until the save registers them again
+        if (mesh && !VIEWS.has(view)) {
+            try {
+                registerMeshView(parseMesh(JSON.stringify(mesh)));
+                this.populateViewSelector();
+            } catch (err) {
+                // Drawn in the current view instead
+            }
+        }
+        if (VIEWS.has(view)) {
+            this.currentView = view;
+            this.viewSelectElement.value = view;
+            this.renderViewParams();
+            this.startViewAnimation();
+        }
+
+        // Load the whole line (which sets up fresh clocks), then step back to the position that was on the board
+        this.timeControl = save.clock && save.clock.timeControl;
+        this.showTimeControl();
+        this.position.loadFEN(save.fen, moves);
+        if (save.ply < moves.length) {
+            let node = this.moveTree;
+            for (let i = 0; i < save.ply; i++) node = node.children[0];
+            this.goToNode(node);
+        }
+        this.updateSVGCells();
+        // Loading autosaved the fresh clocks, so save again once the saved times are back
+        if (save.clock) {
+            this.restoreClock(save.clock);
+            this.autosave();
+        }
+
+        if (this.gameOver) {
+            this.updateStatus(this.describeGameResult(this.gameOver));
+        } else {
+            const turn = this.position.currentPlayer.charAt(0).toUpperCase() + this.position.currentPlayer.slice(1);
+            this.updateStatus(`${message} ${turn} to move.`);
+        }
+    }
+
+    // List the save slots in the slot selector, newest first
+    renderSaveSlots() {
+        const slots = this.saves ? this.saves.listSlots() : [];
+        const selected = this.saveSlotsElement.value;
+
+        this.saveSlotsElement.innerHTML = '';
+        if (!slots.length) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = this.saves ? 'No saved games' : 'Saving is unavailable';
+            this.saveSlotsElement.appendChild(option);
+        }
+        for (const { name, savedAt } of slots) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = savedAt ? `${name} (${new Date(savedAt).toLocaleString()})` : `${name} (unreadable)`;
+            this.saveSlotsElement.appendChild(option);
+        }
+
+        if (slots.some(slot => slot.name === selected)) this.saveSlotsElement.value = selected;
+    }
+
+    // Save the game in the slot named in the save name box
+    saveGameToSlot() {
+        if (!this.saves) {
+            this.updateStatus('Saving is unavailable: this browser blocks local storage for the page.');
+            return;
+        }
+
+        try {
+            const replacing = this.saves.hasSlot(this.saveNameElement.value.trim());
+            const name = this.saves.saveSlot(this.saveNameElement.value, this.getSave());
+            this.renderSaveSlots();
+            this.saveSlotsElement.value = name;
+            this.updateStatus(replacing ? `Saved over "${name}".` : `Saved the game as "${name}".`);
+        } catch (err) {
+            this.updateStatus(`Could not save: ${err.message}`);
+            this.saveNameElement.focus();
+        }
+    }
+
+    // Replace the game with the one in the selected slot
+    loadSelectedSlot() {
+        const name = this.saveSlotsElement.value;
+        if (!this.saves || !name) {
+            this.updateStatus('Choose a saved game to load.');
+            return;
+        }
+
+        try {
+            this.restoreGame(this.saves.loadSlot(name), `Loaded "${name}".`);
+        } catch (err) {
+            this.updateStatus(`Could not load "${name}": ${err.message}`);
+        }
+    }
+
+    // Give the selected slot the name in the save name box
+    renameSelectedSlot() {
+        const name = this.saveSlotsElement.value;
+        if (!this.saves || !name) {
+            this.updateStatus('Choose a saved game to rename.');
+            return;
+        }
+
+        try {
+            const newName = this.saves.renameSlot(name, this.saveNameElement.value);
+            this.renderSaveSlots();
+            this.saveSlotsElement.value = newName;
+            this.updateStatus(`Renamed "${name}" to "${newName}".`);
+        } catch (err) {
+            this.updateStatus(`Could not rename "${name}": ${err.message}`);
+        }
+    }
+
+    // Delete the selected slot
+    deleteSelectedSlot() {
+        const name = this.saveSlotsElement.value;
+        if (!this.saves || !name) {
+            this.updateStatus('Choose a saved game to delete.');
+            return;
+        }
+
+        this.saves.deleteSlot(name);
+        this.renderSaveSlots();
+        this.updateStatus(`Deleted "${name}".`);
+    }
+
+    // Rebuild the move tree from the moves played so far
+    // The tree keeps later moves and variations while reviewing earlier positions:
+    // each node is { move: { from, to, promotion, san }, parent, children }, children[0] continues the line
+    buildMoveTree() {
+        this.redoStack = [];
+        this.moveTreeVersion++;
+        this.moveTree = { move: null, parent: null, children: [] };
+        this.currentNode = this.moveTree;
+        for (const move of this.position.moveHistory) {
+            const node = { move: this.getTreeMove(move), parent: this.currentNode, children: [] };
+            this.currentNode.children.push(node);
+            this.currentNode = node;
+        }
+    }
+
+    // Keep just what is needed to replay a move from a history record
+    getTreeMove(move) {
+        return { from: move.from, to: move.to, promotion: move.promotion, san: move.san };
+    }
+
+    // Add a move just made to the tree, branching or truncating if later moves exist
+    addMoveToTree(move) {
+        this.redoStack = [];
+
+        const existing = this.currentNode.children.find(child =>
+            child.move.from.row === move.from.row && child.move.from.col === move.from.col &&
+            child.move.to.row === move.to.row && child.move.to.col === move.to.col &&
+            child.move.promotion === move.promotion
+        );
+        if (existing) {
+            this.currentNode = existing;
+            return;
+        }
+
+        const node = { move: this.getTreeMove(move), parent: this.currentNode, children: [] };
+        this.moveTreeVersion++;
+        if (this.lineMode === 'truncate') {
+            this.currentNode.children = [node];
+        } else {
+            // The new move becomes the main line; the old one stays as a variation
+            this.currentNode.children.unshift(node);
+        }
+        this.currentNode = node;
+    }
+
+    // Show the position after a move in the tree (the root node is the starting position)
+    goToNode(target) {
+        this.cancelComputerMove();
+        this.redoStack = [];
+        this.moveToNode(target);
+
+        if (target.move) {
+            const { number, white } = this.position.getMoveNumber(this.position.moveHistory.length - 1);
+            this.showNavigatedPosition(`Viewing ${number}${white ? '.' : '...'} ${target.move.san}`);
+        } else {
+            this.showNavigatedPosition('Viewing the starting position');
+        }
+    }
+
+    // Revert and replay moves until the board shows the target node's position
+    moveToNode(target) {
+        const path = [];
+        for (let node = target; node.parent; node = node.parent) {
+            path.unshift(node);
+        }
+
+        // Step back until the current position lies on the path to the target
+        while (this.currentNode.parent && !path.includes(this.currentNode)) {
+            this.position.revertMove();
+            this.currentNode = this.currentNode.parent;
+        }
+
+        // Then replay forward to the target
+        for (const node of path.slice(path.indexOf(this.currentNode) + 1)) {
+            const { from, to, promotion } = node.move;
+            this.position.applyMoveWithNotation(from.row, from.col, to.row, to.col, promotion || undefined);
+            this.currentNode = node;
+        }
+    }
+
+    // Refresh the UI after moving through the tree
+    // The clocks pause after an undo and while earlier moves are reviewed, until the next move is played;
+    // returning to the end of the line picks the game up where it was
+    showNavigatedPosition(message) {
+        this.selectedCell = null;
+        this.validMoves = [];
+        this.pendingPromotion = null;
+        this.gameOver = this.flagResult || this.position.getGameResult();
+        if (this.clock) {
+            // Clocks start with the first move, so they stay stopped back at the starting position
+            if (!this.currentNode.children.length && !this.gameOver && this.position.moveHistory.length) {
+                this.clock.start(this.position.currentPlayer);
+            } else {
+                this.clock.pause();
+            }
+            this.renderClocks();
+        }
+        this.updateTurnIndicator();
+        const status = this.gameOver ? this.describeGameResult(this.gameOver) : message;
+        this.updateStatus(status);
+        this.announce(status);
+        this.renderBoard();
+        this.autosave();
+
+        // The computer only plays on from the end of a line
+        if (!this.currentNode.children.length) {
+            this.scheduleComputerMove();
+        }
+    }
+
+    // Step back one move without discarding it
+    goToPreviousMove() {
+        if (this.currentNode.parent) this.goToNode(this.currentNode.parent);
+    }
+
+    // Step forward along the current line
+    goToNextMove() {
+        if (this.currentNode.children.length) this.goToNode(this.currentNode.children[0]);
+    }
+
+    // Render the move list as numbered SAN pairs, with variations in parentheses
+    renderMoveList() {
+        if (!this.moveListElement || !this.needsRender('moveList', this.moveTreeVersion, this.currentNode)) return;
+
+        const list = this.moveListElement;
+        list.innerHTML = '';
+
+        let row = null;
+        let parent = this.moveTree;
+        let ply = 0;
+        while (parent.children.length) {
+            const [main, ...alternatives] = parent.children;
+            const { number, white } = this.position.getMoveNumber(ply);
+
+            // Start a new numbered row for White's move, or when Black's move follows a variation
+            if (white || !row) {
+                row = document.createElement('div');
+                row.className = 'move-row';
+                row.appendChild(this.createMoveNumberElement(`${number}.`));
+                if (!white) row.appendChild(this.createMoveNumberElement('…'));
+                list.appendChild(row);
+            }
+            row.appendChild(this.createMoveElement(main));
+
+            for (const alternative of alternatives) {
+                const variation = document.createElement('div');
+                variation.className = 'variation';
+                this.appendVariation(variation, parent, alternative, ply);
+                list.appendChild(variation);
+                row = null;
+            }
+
+            parent = main;
+            ply++;
+        }
+
+        // Keep the current move in view
+        const current = list.querySelector('.move.current');
+        if (current && current.scrollIntoView) {
+            current.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    // Append a variation starting with firstMove (a child of parent) as inline text in parentheses
+    appendVariation(container, parent, firstMove, ply) {
+        container.appendChild(document.createTextNode('('));
+
+        let node = firstMove;
+        let needsNumber = true;
+        while (node) {
+            const { number, white } = this.position.getMoveNumber(ply);
+            if (white || needsNumber) {
+                container.appendChild(this.createMoveNumberElement(`${number}${white ? '.' : '...'}`));
+            }
+            container.appendChild(this.createMoveElement(node));
+            needsNumber = false;
+
+            // Nested variations branch off the moves that continue this one
+            if (node === parent.children[0]) {
+                for (const alternative of parent.children.slice(1)) {
+                    this.appendVariation(container, parent, alternative, ply);
+                    needsNumber = true;
+                }
+            }
+
+            parent = node;
+            node = node.children[0];
+            ply++;
+        }
+
+        container.appendChild(document.createTextNode(')'));
+    }
+
+    // Create a clickable move in the move list
+    createMoveElement(node) {
+        const element = document.createElement('span');
+        element.className = node === this.currentNode ? 'move current' : 'move';
+        element.textContent = node.move.san;
+        element.addEventListener('click', () => this.goToNode(node));
+        return element;
+    }
+
+    // Create a move number label in the move list
+    createMoveNumberElement(text) {
+        const element = document.createElement('span');
+        element.className = 'move-number';
+        element.textContent = text;
+        return element;
     }
 
     // Toggle fullscreen mode
@@ -724,224 +2158,473 @@ class ChessGame {
         }
     }
 
+    // Update the turn indicator for the current player
+    updateTurnIndicator() {
+        this.turnElement.textContent = this.position.currentPlayer.charAt(0).toUpperCase() + this.position.currentPlayer.slice(1);
+    }
+
     // Update status message
     updateStatus(message) {
         this.statusElement.textContent = message;
     }
 
-    // Get cell corners (for future manipulation)
-    getCellCorners(row, col) {
-        const cells = this.boardElement.children;
-        const cellIndex = row * 8 + col;
-        const cell = cells[cellIndex];
-
-        if (!cell) return null;
+    // Have screen readers read a message out through the live region
+    announce(message) {
+        this.announcerElement.textContent = message;
+    }
 
-        const rect = cell.getBoundingClientRect();
+    // Corners and center of a cell on the distorted board, in percent of the board
+    getCellCorners(row, col) {
+        const corner = vertex => ({ x: vertex.x, y: vertex.y });
+        const cell = this.getDisplayCell(row, col);
         return {
-            topLeft: { x: rect.left, y: rect.top },
-            topRight: { x: rect.right, y: rect.top },
-            bottomLeft: { x: rect.left, y: rect.bottom },
-            bottomRight: { x: rect.right, y: rect.bottom },
-            center: { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 },
-            width: rect.width,
-            height: rect.height
+            topLeft: corner(this.vertexGrid[cell.row][cell.col]),
+            topRight: corner(this.vertexGrid[cell.row][cell.col + 1]),
+            bottomRight: corner(this.vertexGrid[cell.row + 1][cell.col + 1]),
+            bottomLeft: corner(this.vertexGrid[cell.row + 1][cell.col]),
+            center: this.getCellCenter(row, col)
         };
     }
 
-    // Update cell position (for future manipulation)
+    // Move a cell's corners (any of topLeft, topRight, bottomRight, bottomLeft);
+    // neighbouring cells share the vertices and stretch along
     updateCellPosition(row, col, corners) {
-        const cells = this.boardElement.children;
-        const cellIndex = row * 8 + col;
-        const cell = cells[cellIndex];
+        ({ row, col } = this.getDisplayCell(row, col));
+        const vertices = {
+            topLeft: this.vertexGrid[row][col],
+            topRight: this.vertexGrid[row][col + 1],
+            bottomRight: this.vertexGrid[row + 1][col + 1],
+            bottomLeft: this.vertexGrid[row + 1][col]
+        };
 
-        if (!cell || !corners) return;
+        for (const [name, vertex] of Object.entries(vertices)) {
+            if (corners[name]) {
+                vertex.x = corners[name].x;
+                vertex.y = corners[name].y;
+            }
+        }
 
-        // This method is prepared for future corner manipulation
-        // Currently, it would require CSS transforms or absolute positioning
-        // which we'll implement when needed
-        console.log(`Cell (${row}, ${col}) corners updated`, corners);
+        this.updateSVGCells();
     }
 
-    // Change view mode
-    changeView(view) {
-        this.currentView = view;
+    // Enter or leave the mesh editor, where pointer drags move vertices instead of pieces
+    toggleMeshEditor() {
+        this.editingMesh = !this.editingMesh;
+        this.meshDrag = null;
+        this.selectedVertices.clear();
+
+        this.boardElement.classList.toggle('editing-mesh', this.editingMesh);
+        this.meshEditorElement.hidden = !this.editingMesh;
+        this.meshEditButton.textContent = this.editingMesh ? 'Done Editing' : 'Edit Mesh';
+        this.viewSelectElement.disabled = this.editingMesh;
+
+        if (this.editingMesh) {
+            // Hold the board in its current shape while it is edited
+            this.cancelDrag();
+            if (this.viewFrame) {
+                cancelAnimationFrame(this.viewFrame);
+                this.viewFrame = null;
+            }
+            this.viewBlend = null;
+            this.meshHistory = [];
+            this.viewParamsElement.hidden = true;
+
+            this.selectedCell = null;
+            this.validMoves = [];
+            this.renderBoard();
+            this.renderVertexHandles();
+            this.updateStatus('Editing the mesh: drag vertices to move them, Shift+click or Shift+drag to select several.');
+        } else {
+            const handles = this.svgElement.querySelector('.vertex-handles');
+            if (handles) handles.remove();
 
-        // Reset all cell transforms first
-        this.applyNormalView();
-
-        // Apply the selected view
-        switch(view) {
-            case 'perspective':
-                this.applyPerspectiveView();
-                break;
-            case 'wave':
-                this.applyWaveView();
-                break;
-            case 'dramatic-wave':
-                this.applyDramaticWaveView();
-                break;
-            case 'multi-wave':
-                this.applyMultiWaveView();
-                break;
-            case 'normal':
-            default:
-                // Already reset above
-                break;
+            // Unsaved edits blend back into the selected view
+            this.changeView(this.currentView);
         }
-
-        this.updateStatus(`View changed to: ${view}`);
     }
 
-    // Reset vertices to original positions
-    resetVertices() {
-        if (!this.vertexGrid) return;
+    // Draw a handle on every vertex, marking the selected ones
+    renderVertexHandles() {
+        let group = this.svgElement.querySelector('.vertex-handles');
+        if (!group) {
+            group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            group.setAttribute('class', 'vertex-handles');
+            for (let row = 0; row <= 8; row++) {
+                for (let col = 0; col <= 8; col++) {
+                    const handle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+                    handle.setAttribute('r', '1.2');
+                    handle.dataset.row = row;
+                    handle.dataset.col = col;
+                    group.appendChild(handle);
+                }
+            }
+            this.svgElement.appendChild(group);
+        }
+
+        for (const handle of group.children) {
+            const row = parseInt(handle.dataset.row);
+            const col = parseInt(handle.dataset.col);
+            const vertex = this.vertexGrid[row][col];
+            handle.setAttribute('cx', vertex.x);
+            handle.setAttribute('cy', vertex.y);
+            handle.setAttribute('class', this.selectedVertices.has(row * 9 + col) ? 'vertex-handle selected' : 'vertex-handle');
+        }
+    }
 
+    // Find the vertex nearest to a board point, if it is within reach
+    getVertexAtPoint(x, y) {
+        let nearest = null;
+        let nearestDistance = ChessGame.VERTEX_HIT_RADIUS;
         for (let row = 0; row <= 8; row++) {
             for (let col = 0; col <= 8; col++) {
-                this.vertexGrid[row][col].x = this.vertexGrid[row][col].originalX;
-                this.vertexGrid[row][col].y = this.vertexGrid[row][col].originalY;
+                const vertex = this.vertexGrid[row][col];
+                const distance = Math.hypot(vertex.x - x, vertex.y - y);
+                if (distance <= nearestDistance) {
+                    nearest = { row, col };
+                    nearestDistance = distance;
+                }
             }
         }
+        return nearest;
     }
 
-    // Update SVG polygons based on vertex positions
-    updateSVGCells() {
-        if (!this.svgElement) return;
+    // Start moving vertices, or start brushing a selection with Shift held
+    handleMeshPointerDown(e) {
+        if (e.button !== 0 || this.meshDrag) return;
+
+        const point = this.getBoardPoint(e);
+        const vertex = this.getVertexAtPoint(point.x, point.y);
+        e.preventDefault();
+        this.boardElement.setPointerCapture(e.pointerId);
+
+        if (e.shiftKey) {
+            // Shift+click toggles a vertex; Shift+drag brushes more into the selection
+            if (vertex) {
+                // Brushing only starts once the pointer moves, so it cannot reselect a vertex just deselected
+                const index = vertex.row * 9 + vertex.col;
+                if (this.selectedVertices.has(index)) {
+                    this.selectedVertices.delete(index);
+                } else {
+                    this.selectedVertices.add(index);
+                }
+            } else {
+                this.brushSelect(point);
+            }
+            this.meshDrag = { pointerId: e.pointerId, brush: true };
+        } else if (vertex) {
+            // Dragging an unselected vertex moves it alone
+            if (!this.selectedVertices.has(vertex.row * 9 + vertex.col)) {
+                this.selectedVertices = new Set([vertex.row * 9 + vertex.col]);
+            }
+            this.meshDrag = { pointerId: e.pointerId, brush: false, last: point, moved: false };
+        } else {
+            this.selectedVertices.clear();
+        }
 
-        const polygons = this.svgElement.querySelectorAll('polygon');
-        polygons.forEach(polygon => {
-            const row = parseInt(polygon.dataset.row);
-            const col = parseInt(polygon.dataset.col);
+        this.renderVertexHandles();
+    }
 
-            const topLeft = this.vertexGrid[row][col];
-            const topRight = this.vertexGrid[row][col + 1];
-            const bottomRight = this.vertexGrid[row + 1][col + 1];
-            const bottomLeft = this.vertexGrid[row + 1][col];
+    // Move the selected vertices with the pointer, or keep brushing
+    handleMeshPointerMove(e) {
+        const drag = this.meshDrag;
+        if (!drag || e.pointerId !== drag.pointerId) return;
 
-            const points = `${topLeft.x},${topLeft.y} ${topRight.x},${topRight.y} ${bottomRight.x},${bottomRight.y} ${bottomLeft.x},${bottomLeft.y}`;
-            polygon.setAttribute('points', points);
-        });
+        const point = this.getBoardPoint(e);
+        if (drag.brush) {
+            this.brushSelect(point);
+            this.renderVertexHandles();
+            return;
+        }
 
-        this.updatePiecePositions();
-    }
+        // One undo step per drag
+        if (!drag.moved) {
+            this.meshHistory.push(this.copyVertexPositions());
+            drag.moved = true;
+        }
 
-    // Normal View - Reset all transformations
-    applyNormalView() {
-        this.resetVertices();
+        for (const index of this.selectedVertices) {
+            const vertex = this.vertexGrid[Math.floor(index / 9)][index % 9];
+            vertex.x += point.x - drag.last.x;
+            vertex.y += point.y - drag.last.y;
+        }
+        drag.last = point;
         this.updateSVGCells();
     }
 
-    // Perspective 3D View - Apply 3D perspective transformation
-    applyPerspectiveView() {
-        this.resetVertices();
+    // Finish moving or brushing
+    handleMeshPointerUp(e) {
+        if (this.meshDrag && e.pointerId === this.meshDrag.pointerId) {
+            this.meshDrag = null;
+        }
+    }
 
-        // Apply perspective distortion to vertices
+    // Add every vertex within the brush radius of a board point to the selection
+    brushSelect(point) {
         for (let row = 0; row <= 8; row++) {
             for (let col = 0; col <= 8; col++) {
                 const vertex = this.vertexGrid[row][col];
+                if (Math.hypot(vertex.x - point.x, vertex.y - point.y) <= ChessGame.BRUSH_RADIUS) {
+                    this.selectedVertices.add(row * 9 + col);
+                }
+            }
+        }
+    }
 
-                // Perspective scaling - rows further back are smaller
-                const perspectiveFactor = 1 - (row / 8) * 0.3;
-                const centerX = 50;
-
-                // Scale X towards center based on row
-                vertex.x = centerX + (vertex.originalX - centerX) * perspectiveFactor;
+    // Current vertex positions, for the edit history
+    copyVertexPositions() {
+        return this.vertexGrid.map(row => row.map(({ x, y }) => ({ x, y })));
+    }
 
-                // Compress Y for perspective
-                vertex.y = vertex.originalY * (0.7 + row / 8 * 0.3);
-            }
+    // Take back the last vertex drag
+    undoMeshEdit() {
+        const previous = this.meshHistory.pop();
+        if (!previous) {
+            this.updateStatus('No mesh edits to undo.');
+            return;
         }
 
+        previous.forEach((row, r) => row.forEach(({ x, y }, c) => {
+            this.vertexGrid[r][c].x = x;
+            this.vertexGrid[r][c].y = y;
+        }));
         this.updateSVGCells();
     }
 
-    // Wave Effect View - Apply wave-like distortion by manipulating vertices
-    applyWaveView() {
-        this.resetVertices();
+    // Save the edited board as a named view and show its JSON
+    saveMesh() {
+        const name = this.meshNameElement.value.trim();
+        if (!name) {
+            this.updateStatus('Name the mesh before saving it.');
+            this.meshNameElement.focus();
+            return;
+        }
+
+        const json = meshToJSON(name, this.vertexGrid);
+        this.meshJSONElement.value = json;
+        this.currentView = registerMeshView(parseMesh(json));
+        this.populateViewSelector();
+        this.updateStatus(`Mesh "${name}" saved to the view selector. Copy its JSON from the mesh box to keep it.`);
+    }
+
+    // Register the mesh pasted into the mesh box and switch to it
+    loadMeshFromInput() {
+        try {
+            const mesh = parseMesh(this.meshJSONElement.value);
+            if (this.editingMesh) this.toggleMeshEditor();
+
+            const view = registerMeshView(mesh);
+            this.populateViewSelector();
+            this.viewSelectElement.value = view;
+            this.changeView(view);
+            this.updateStatus(`Mesh "${mesh.name}" loaded.`);
+        } catch (err) {
+            this.updateStatus(`Invalid mesh: ${err.message}`);
+        }
+    }
 
-        // Distort vertices to create wave effect
-        for (let row = 0; row <= 8; row++) {
-            for (let col = 0; col <= 8; col++) {
-                const vertex = this.vertexGrid[row][col];
+    // Show the board's current shape as mesh JSON and copy it to the clipboard
+    copyMesh() {
+        const view = VIEWS.get(this.currentView);
+        const name = this.meshNameElement.value.trim() || (view ? view.label : 'Custom mesh');
+        this.meshJSONElement.value = meshToJSON(name, this.vertexGrid);
+        this.copyFromField(this.meshJSONElement, 'mesh JSON');
+    }
+
+    // Change view mode, blending from the board's current shape
+    changeView(view) {
+        this.currentView = view;
+        this.viewBlend = {
+            from: this.vertexGrid.map(row => row.map(({ x, y }) => ({ x, y }))),
+            start: performance.now()
+        };
+        this.startViewAnimation();
+        this.renderViewParams();
+        this.autosave();
 
-                // Calculate wave displacement
-                const waveX = Math.sin((row + col) * Math.PI / 4) * 3;
-                const waveY = Math.cos((row - col) * Math.PI / 4) * 3;
+        this.updateStatus(`View changed to: ${view}`);
+    }
 
-                // Apply wave distortion
-                vertex.x = vertex.originalX + waveX;
-                vertex.y = vertex.originalY + waveY;
-            }
+    // List every registered view in the view selector
+    populateViewSelector() {
+        this.viewSelectElement.innerHTML = '';
+        for (const { name, label } of VIEWS.values()) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = label;
+            this.viewSelectElement.appendChild(option);
         }
+        this.viewSelectElement.value = this.currentView;
+        this.renderViewParams();
+    }
 
-        this.updateSVGCells();
+    // Build a slider for each parameter of the current view
+    renderViewParams() {
+        const view = VIEWS.get(this.currentView);
+        const values = this.getViewParams(this.currentView);
+        this.viewParamsElement.innerHTML = '';
+        this.viewParamsElement.hidden = this.editingMesh || !view || Object.keys(view.params).length === 0;
+        if (!view) return;
+
+        for (const [key, param] of Object.entries(view.params)) {
+            const label = document.createElement('label');
+            label.className = 'view-param';
+            label.textContent = param.label || key;
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = param.min;
+            slider.max = param.max;
+            slider.step = param.step || 'any';
+            slider.value = values[key];
+
+            const output = document.createElement('output');
+            output.textContent = values[key];
+
+            slider.addEventListener('input', () => {
+                output.textContent = slider.value;
+                this.setViewParam(key, parseFloat(slider.value));
+            });
+
+            label.append(slider, output);
+            this.viewParamsElement.appendChild(label);
+        }
     }
 
-    // Dramatic Wave Effect View - Apply extreme wave-like distortion
-    applyDramaticWaveView() {
-        this.resetVertices();
+    // Current parameter values of a view, starting from its defaults
+    getViewParams(name) {
+        if (!this.viewParams[name] && VIEWS.has(name)) {
+            this.viewParams[name] = getDefaultViewParams(name);
+        }
+        return this.viewParams[name] || {};
+    }
 
-        // Distort vertices to create dramatic wave effect
-        for (let row = 0; row <= 8; row++) {
-            for (let col = 0; col <= 8; col++) {
-                const vertex = this.vertexGrid[row][col];
+    // Change a parameter of the current view and redraw the board
+    setViewParam(key, value) {
+        this.getViewParams(this.currentView)[key] = value;
+        this.startViewAnimation();
+    }
+
+    // Turn reduced motion on or off; the moving views settle into their resting shape
+    setReduceMotion(enabled) {
+        this.reduceMotion = enabled;
+        this.startViewAnimation();
+    }
 
-                // Calculate dramatic wave displacement with higher amplitude
-                const waveX = Math.sin((row + col) * Math.PI / 3) * 8;
-                const waveY = Math.cos((row - col) * Math.PI / 3) * 8;
+    // Change how many segments each cell edge is drawn with
+    setMeshSubdivision(segments) {
+        this.meshSubdivision = segments;
+        this.updateSVGCells();
+    }
 
-                // Additional circular wave component
-                const centerRow = 4.5;
-                const centerCol = 4.5;
-                const distFromCenter = Math.sqrt(Math.pow(row - centerRow, 2) + Math.pow(col - centerCol, 2));
-                const radialWave = Math.sin(distFromCenter * Math.PI / 2) * 4;
+    // Request a view animation frame unless one is already pending
+    startViewAnimation() {
+        if (!this.viewFrame) {
+            this.viewFrame = requestAnimationFrame(now => this.stepViewAnimation(now));
+        }
+    }
 
-                // Apply dramatic wave distortion
-                vertex.x = vertex.originalX + waveX + radialWave * Math.cos(Math.atan2(row - centerRow, col - centerCol));
-                vertex.y = vertex.originalY + waveY + radialWave * Math.sin(Math.atan2(row - centerRow, col - centerCol));
+    // Move the vertices for one frame: the view at this moment, blended with the previous shape
+    stepViewAnimation(now) {
+        this.viewFrame = null;
+
+        // The mesh editor holds the vertices where the user puts them
+        if (this.editingMesh) return;
+
+        // Reduced motion freezes the moving views at their starting phase and skips blending
+        const time = this.reduceMotion ? 0 : now / 1000;
+        this.applyView(this.currentView, time);
+
+        if (this.viewBlend) {
+            const t = this.reduceMotion ? 1 : Math.min(1, (now - this.viewBlend.start) / ChessGame.VIEW_BLEND_MS);
+            const eased = this.easeInOut(t);
+            for (let row = 0; row <= 8; row++) {
+                for (let col = 0; col <= 8; col++) {
+                    const vertex = this.vertexGrid[row][col];
+                    const from = this.viewBlend.from[row][col];
+                    vertex.x = from.x + (vertex.x - from.x) * eased;
+                    vertex.y = from.y + (vertex.y - from.y) * eased;
+                }
             }
+            if (t === 1) this.viewBlend = null;
         }
 
         this.updateSVGCells();
+
+        const view = VIEWS.get(this.currentView);
+        if (this.viewBlend || (!this.reduceMotion && view && view.animated)) {
+            this.startViewAnimation();
+        }
     }
 
-    // Multiple Waves Effect View - Apply multiple overlapping wave patterns
-    applyMultiWaveView() {
-        this.resetVertices();
+    // Set the vertices to a registered view's shape at a time in seconds (unknown views show the normal board)
+    applyView(name, time) {
+        const view = VIEWS.get(name) || VIEWS.get('normal');
+        const params = this.getViewParams(view.name);
 
-        // Distort vertices with multiple overlapping wave patterns
         for (let row = 0; row <= 8; row++) {
             for (let col = 0; col <= 8; col++) {
                 const vertex = this.vertexGrid[row][col];
+                const { x, y } = view.displace(vertex, row, col, time, params);
+                vertex.x = x;
+                vertex.y = y;
+            }
+        }
+    }
 
-                // Multiple wave patterns
-                const wave1X = Math.sin((row + col) * Math.PI / 4) * 5;
-                const wave1Y = Math.cos((row + col) * Math.PI / 4) * 5;
-
-                const wave2X = Math.sin((row - col) * Math.PI / 3) * 4;
-                const wave2Y = Math.cos((row - col) * Math.PI / 3) * 4;
+    // Reset vertices to original positions
+    resetVertices() {
+        if (!this.vertexGrid) return;
 
-                const wave3X = Math.sin(row * Math.PI / 2) * 3;
-                const wave3Y = Math.cos(col * Math.PI / 2) * 3;
+        for (let row = 0; row <= 8; row++) {
+            for (let col = 0; col <= 8; col++) {
+                this.vertexGrid[row][col].x = this.vertexGrid[row][col].originalX;
+                this.vertexGrid[row][col].y = this.vertexGrid[row][col].originalY;
+            }
+        }
+    }
 
-                // Circular ripple from center
-                const centerRow = 4.5;
-                const centerCol = 4.5;
-                const distFromCenter = Math.sqrt(Math.pow(row - centerRow, 2) + Math.pow(col - centerCol, 2));
-                const ripple = Math.sin(distFromCenter * Math.PI / 1.5) * 3;
-                const angle = Math.atan2(row - centerRow, col - centerCol);
+    // Update SVG polygons based on vertex positions
+    updateSVGCells() {
+        if (!this.svgElement) return;
 
-                // Combine all waves
-                vertex.x = vertex.originalX + wave1X + wave2X + wave3X + ripple * Math.cos(angle);
-                vertex.y = vertex.originalY + wave1Y + wave2Y + wave3Y + ripple * Math.sin(angle);
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                this.cellElements[row][col].setAttribute('points', this.getCellPolygonPoints(row, col));
             }
         }
 
-        this.updateSVGCells();
+        for (const overlay of this.overlayElement.children) {
+            const { row, col } = overlay.dataset;
+            overlay.setAttribute('points', this.cellElements[row][col].getAttribute('points'));
+        }
+
+        this.updateCoordinateLabels();
+        this.updateCursor();
+        this.updatePiecePositions();
+        if (this.editingMesh) this.renderVertexHandles();
     }
 }
 
+// Duration of a piece sliding to its new square
+ChessGame.MOVE_ANIMATION_MS = 200;
+
+// Duration of the blend from one view to the next
+ChessGame.VIEW_BLEND_MS = 600;
+
+// Pixels the pointer must travel before a press on a piece becomes a drag
+ChessGame.DRAG_THRESHOLD = 4;
+
+// Mesh editor reach, in percent of the board: grabbing a vertex, and the Shift+drag selection brush
+ChessGame.VERTEX_HIT_RADIUS = 3;
+ChessGame.BRUSH_RADIUS = 5;
+
+// Search settings for each computer difficulty
+ChessGame.AI_DIFFICULTIES = {
+    easy: { depth: 1 },
+    medium: { depth: 2 },
+    hard: { depth: 5, timeLimit: 3000 }
+};
+
 // Initialize the game when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     window.chessGame = new ChessGame();
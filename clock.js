@@ -0,0 +1,73 @@
+// Chess Clock - per-side countdown timers with Fischer increment or Bronstein delay
+// Loaded as a classic script by the page and with require() under Node
+class ChessClock {
+    // timeControl: { initial, bonus } in milliseconds and bonusType 'increment' (Fischer) or 'delay' (Bronstein)
+    constructor(timeControl) {
+        this.timeControl = timeControl;
+        this.remaining = { white: timeControl.initial, black: timeControl.initial };
+        this.running = null; // Color whose time is running, or null while paused
+        this.turnStartedAt = 0;
+    }
+
+    // Time left for a color in milliseconds, including the turn in progress
+    getRemaining(color) {
+        const elapsed = this.running === color ? Date.now() - this.turnStartedAt : 0;
+        return Math.max(0, this.remaining[color] - elapsed);
+    }
+
+    // Start a color's time
+    start(color) {
+        this.pause();
+        this.running = color;
+        this.turnStartedAt = Date.now();
+    }
+
+    // Stop whichever time is running
+    pause() {
+        if (!this.running) return;
+        this.remaining[this.running] = this.getRemaining(this.running);
+        this.running = null;
+    }
+
+    // Called after a color moves: stop its time, add its bonus and start the opponent's time
+    press(color) {
+        const used = this.running === color ? Date.now() - this.turnStartedAt : 0;
+        this.pause();
+
+        // Fischer adds the full increment; Bronstein gives back the time used, up to the delay
+        const { bonus, bonusType } = this.timeControl;
+        this.remaining[color] += bonusType === 'delay' ? Math.min(bonus, used) : bonus;
+
+        this.start(color === 'white' ? 'black' : 'white');
+    }
+
+    // Format a color's time as h:mm:ss or m:ss, with tenths under ten seconds
+    format(color) {
+        const ms = this.getRemaining(color);
+        if (ms < 10000) {
+            return `0:0${(Math.floor(ms / 100) / 10).toFixed(1)}`;
+        }
+
+        const seconds = Math.ceil(ms / 1000);
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor(seconds / 60) % 60;
+        const secs = String(seconds % 60).padStart(2, '0');
+        return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+    }
+}
+
+// Standard time controls, keyed by the values of the clock selector
+ChessClock.PRESETS = {
+    'bullet-1+0': { initial: 60000, bonus: 0, bonusType: 'increment' },
+    'bullet-2+1': { initial: 120000, bonus: 1000, bonusType: 'increment' },
+    'blitz-3+2': { initial: 180000, bonus: 2000, bonusType: 'increment' },
+    'blitz-5+0': { initial: 300000, bonus: 0, bonusType: 'increment' },
+    'blitz-5d3': { initial: 300000, bonus: 3000, bonusType: 'delay' },
+    'rapid-10+5': { initial: 600000, bonus: 5000, bonusType: 'increment' },
+    'rapid-15+10': { initial: 900000, bonus: 10000, bonusType: 'increment' },
+    'rapid-25d10': { initial: 1500000, bonus: 10000, bonusType: 'delay' }
+};
+
+if (typeof module !== 'undefined') {
+    module.exports = { ChessClock };
+}
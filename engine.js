@@ -0,0 +1,1355 @@
+// Chess Rules Engine - board state, move generation and notation, with no DOM access
+// Loaded as a classic script by the page and the AI worker, and with require() under Node
+class ChessPosition {
+    constructor() {
+        this.board = this.initializeBoard();
+        this.currentPlayer = 'white';
+        this.moveHistory = [];
+        this.castlingRights = this.initializeCastlingRights();
+        this.enPassantTarget = null; // Square skipped by the last double pawn push
+        this.halfmoveClock = 0; // Moves since the last capture or pawn move (fifty-move rule)
+        this.fullmoveNumber = 1; // Starts at 1 and increases after each Black move
+        this.initialFEN = ChessPosition.START_FEN; // Position the current game started from
+        this.positionHistory = [this.getPositionKey()]; // Position keys for repetition detection
+        this.listeners = {}; // Event name -> listener functions
+    }
+
+    // Subscribe to an event: 'move' ({ move, result }) after makeMove, 'load' after loadFEN
+    on(event, listener) {
+        (this.listeners[event] = this.listeners[event] || []).push(listener);
+    }
+
+    // Unsubscribe a listener added with on()
+    off(event, listener) {
+        this.listeners[event] = (this.listeners[event] || []).filter(l => l !== listener);
+    }
+
+    // Call an event's listeners
+    emit(event, data) {
+        for (const listener of this.listeners[event] || []) {
+            listener(data);
+        }
+    }
+
+    // Play a legal move for the side to move and emit 'move' with the history record
+    // and the game result (null while the game goes on); throws an Error for illegal moves
+    // applyMove and revertMove stay silent, so searches and replays do not notify listeners
+    makeMove(fromRow, fromCol, toRow, toCol, promotion = 'queen') {
+        const piece = this.isValidPosition(fromRow, fromCol) ? this.board[fromRow][fromCol] : null;
+        const legal = !!piece && piece.color === this.currentPlayer &&
+            this.getValidMoves(fromRow, fromCol).some(move => move.row === toRow && move.col === toCol);
+        if (!legal) {
+            const from = this.isValidPosition(fromRow, fromCol) ? this.getSquareName(fromRow, fromCol) : '?';
+            const to = this.isValidPosition(toRow, toCol) ? this.getSquareName(toRow, toCol) : '?';
+            throw new Error(`Illegal move ${from}-${to} for ${this.currentPlayer}`);
+        }
+        if (!ChessPosition.PROMOTION_PIECES.includes(promotion)) {
+            throw new Error(`Cannot promote to ${promotion}`);
+        }
+
+        const move = this.applyMoveWithNotation(fromRow, fromCol, toRow, toCol, promotion);
+        this.emit('move', { move, result: this.getGameResult() });
+        return move;
+    }
+
+    // Initialize the chess board with starting position
+    initializeBoard() {
+        const board = Array(8).fill(null).map(() => Array(8).fill(null));
+
+        // Setup black pieces
+        board[0] = [
+            { type: 'rook', color: 'black' },
+            { type: 'knight', color: 'black' },
+            { type: 'bishop', color: 'black' },
+            { type: 'queen', color: 'black' },
+            { type: 'king', color: 'black' },
+            { type: 'bishop', color: 'black' },
+            { type: 'knight', color: 'black' },
+            { type: 'rook', color: 'black' }
+        ];
+        board[1] = Array(8).fill(null).map(() => ({ type: 'pawn', color: 'black' }));
+
+        // Setup white pieces
+        board[6] = Array(8).fill(null).map(() => ({ type: 'pawn', color: 'white' }));
+        board[7] = [
+            { type: 'rook', color: 'white' },
+            { type: 'knight', color: 'white' },
+            { type: 'bishop', color: 'white' },
+            { type: 'queen', color: 'white' },
+            { type: 'king', color: 'white' },
+            { type: 'bishop', color: 'white' },
+            { type: 'knight', color: 'white' },
+            { type: 'rook', color: 'white' }
+        ];
+
+        return board;
+    }
+
+    // Initialize castling rights (both sides available until king or rook moves)
+    initializeCastlingRights() {
+        return {
+            white: { kingSide: true, queenSide: true },
+            black: { kingSide: true, queenSide: true }
+        };
+    }
+
+    // Get valid moves for a piece
+    getValidMoves(row, col) {
+        const piece = this.board[row][col];
+        if (!piece) return [];
+
+        return this.getLegalMoves(row, col, this.getCheckInfo(piece.color));
+    }
+
+    // Legal moves for a piece, given the checks and pins against its king from getCheckInfo
+    // (getAllMoves shares one getCheckInfo between all pieces of a side)
+    getLegalMoves(row, col, checkInfo) {
+        const piece = this.board[row][col];
+        const moves = this.getValidMovesWithoutCheckTest(row, col);
+
+        if (piece.type === 'king') {
+            // Lift the king off the board so squares further along a checking line count as attacked
+            const opponent = piece.color === 'white' ? 'black' : 'white';
+            this.board[row][col] = null;
+            const safeMoves = moves.filter(move => !this.isSquareAttacked(move.row, move.col, opponent));
+            this.board[row][col] = piece;
+
+            return [...safeMoves, ...this.getCastlingMoves(row, col, piece.color)];
+        }
+
+        // Only the king can escape a double check
+        if (checkInfo.checks > 1) return [];
+
+        const pin = checkInfo.pins.get(row * 8 + col);
+        return moves.filter(move => {
+            // En passant takes two pawns off one rank, which can expose the king sideways; play it out
+            if (move.enPassant) {
+                return !this.wouldBeInCheck(row, col, move.row, move.col, piece.color);
+            }
+
+            // In check, the move has to capture the checker or step in front of it
+            if (checkInfo.blockSquares && !checkInfo.blockSquares.has(move.row * 8 + move.col)) {
+                return false;
+            }
+
+            // A pinned piece may only slide along the line between its king and the pinner
+            return !pin || (move.row - row) * pin[1] === (move.col - col) * pin[0];
+        });
+    }
+
+    // Find the checks and pins against a color's king by looking outward from the king
+    // Returns { checks, blockSquares, pins }: blockSquares holds the square indexes (row * 8 + col)
+    // where a non-king move answers a single check, or null when not in check, and pins maps
+    // the square index of each pinned piece to the [dRow, dCol] direction of its pin
+    getCheckInfo(color) {
+        const info = { checks: 0, blockSquares: null, pins: new Map() };
+        const king = this.findKing(color);
+        if (!king) return info;
+
+        const opponent = color === 'white' ? 'black' : 'white';
+        const isEnemy = (row, col, type) => {
+            const piece = this.board[row][col];
+            return !!piece && piece.color === opponent && piece.type === type;
+        };
+        const addCheck = (squares) => {
+            info.checks++;
+            info.blockSquares = new Set(squares);
+        };
+
+        // Knights and pawns can only be answered by capturing them
+        for (const [dRow, dCol] of ChessPosition.KNIGHT_OFFSETS) {
+            const row = king.row + dRow;
+            const col = king.col + dCol;
+            if (this.isValidPosition(row, col) && isEnemy(row, col, 'knight')) {
+                addCheck([row * 8 + col]);
+            }
+        }
+
+        const pawnRow = king.row + (color === 'white' ? -1 : 1);
+        for (const col of [king.col - 1, king.col + 1]) {
+            if (this.isValidPosition(pawnRow, col) && isEnemy(pawnRow, col, 'pawn')) {
+                addCheck([pawnRow * 8 + col]);
+            }
+        }
+
+        // Walk each line from the king: an enemy slider behind no pieces checks,
+        // behind exactly one of our pieces it pins that piece
+        for (const [dRow, dCol] of ChessPosition.KING_OFFSETS) {
+            const slider = dRow && dCol ? 'bishop' : 'rook';
+            const squares = [];
+            let shield = null;
+
+            for (let row = king.row + dRow, col = king.col + dCol; this.isValidPosition(row, col); row += dRow, col += dCol) {
+                squares.push(row * 8 + col);
+                const piece = this.board[row][col];
+                if (!piece) continue;
+
+                if (piece.color === color) {
+                    if (shield !== null) break;
+                    shield = row * 8 + col;
+                    continue;
+                }
+
+                if (piece.type === slider || piece.type === 'queen') {
+                    if (shield === null) {
+                        addCheck(squares);
+                    } else {
+                        info.pins.set(shield, [dRow, dCol]);
+                    }
+                }
+                break;
+            }
+        }
+
+        return info;
+    }
+
+    // Pawn movement
+    getPawnMoves(row, col, color) {
+        const moves = [];
+        const direction = color === 'white' ? -1 : 1;
+        const startRow = color === 'white' ? 6 : 1;
+
+        // Move forward one square
+        if (this.isValidPosition(row + direction, col) && !this.board[row + direction][col]) {
+            moves.push({ row: row + direction, col });
+
+            // Move forward two squares from starting position
+            if (row === startRow && !this.board[row + 2 * direction][col]) {
+                moves.push({ row: row + 2 * direction, col });
+            }
+        }
+
+        // Capture diagonally
+        for (const colOffset of [-1, 1]) {
+            const newRow = row + direction;
+            const newCol = col + colOffset;
+            if (this.isValidPosition(newRow, newCol)) {
+                const targetPiece = this.board[newRow][newCol];
+                if (targetPiece && targetPiece.color !== color) {
+                    moves.push({ row: newRow, col: newCol });
+                } else if (!targetPiece && this.isEnPassantCapture(row, newRow, newCol, color)) {
+                    moves.push({ row: newRow, col: newCol, enPassant: true });
+                }
+            }
+        }
+
+        return moves;
+    }
+
+    // Check if a diagonal pawn step onto an empty square captures en passant
+    isEnPassantCapture(fromRow, toRow, toCol, color) {
+        const target = this.enPassantTarget;
+        if (!target || target.row !== toRow || target.col !== toCol) return false;
+
+        // The pawn that made the double push sits beside the capturing pawn
+        const passedPawn = this.board[fromRow][toCol];
+        return !!passedPawn && passedPawn.type === 'pawn' && passedPawn.color !== color;
+    }
+
+    // Rook movement
+    getRookMoves(row, col, color) {
+        const moves = [];
+        const directions = [[0, 1], [0, -1], [1, 0], [-1, 0]];
+
+        for (const [dRow, dCol] of directions) {
+            for (let i = 1; i < 8; i++) {
+                const newRow = row + dRow * i;
+                const newCol = col + dCol * i;
+
+                if (!this.isValidPosition(newRow, newCol)) break;
+
+                const targetPiece = this.board[newRow][newCol];
+                if (!targetPiece) {
+                    moves.push({ row: newRow, col: newCol });
+                } else {
+                    if (targetPiece.color !== color) {
+                        moves.push({ row: newRow, col: newCol });
+                    }
+                    break;
+                }
+            }
+        }
+
+        return moves;
+    }
+
+    // Knight movement
+    getKnightMoves(row, col, color) {
+        const moves = [];
+        const knightMoves = [
+            [-2, -1], [-2, 1], [-1, -2], [-1, 2],
+            [1, -2], [1, 2], [2, -1], [2, 1]
+        ];
+
+        for (const [dRow, dCol] of knightMoves) {
+            const newRow = row + dRow;
+            const newCol = col + dCol;
+
+            if (this.isValidPosition(newRow, newCol)) {
+                const targetPiece = this.board[newRow][newCol];
+                if (!targetPiece || targetPiece.color !== color) {
+                    moves.push({ row: newRow, col: newCol });
+                }
+            }
+        }
+
+        return moves;
+    }
+
+    // Bishop movement
+    getBishopMoves(row, col, color) {
+        const moves = [];
+        const directions = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+        for (const [dRow, dCol] of directions) {
+            for (let i = 1; i < 8; i++) {
+                const newRow = row + dRow * i;
+                const newCol = col + dCol * i;
+
+                if (!this.isValidPosition(newRow, newCol)) break;
+
+                const targetPiece = this.board[newRow][newCol];
+                if (!targetPiece) {
+                    moves.push({ row: newRow, col: newCol });
+                } else {
+                    if (targetPiece.color !== color) {
+                        moves.push({ row: newRow, col: newCol });
+                    }
+                    break;
+                }
+            }
+        }
+
+        return moves;
+    }
+
+    // Queen movement (combination of rook and bishop)
+    getQueenMoves(row, col, color) {
+        return [
+            ...this.getRookMoves(row, col, color),
+            ...this.getBishopMoves(row, col, color)
+        ];
+    }
+
+    // King movement
+    getKingMoves(row, col, color) {
+        const moves = [];
+        const directions = [
+            [-1, -1], [-1, 0], [-1, 1],
+            [0, -1], [0, 1],
+            [1, -1], [1, 0], [1, 1]
+        ];
+
+        for (const [dRow, dCol] of directions) {
+            const newRow = row + dRow;
+            const newCol = col + dCol;
+
+            if (this.isValidPosition(newRow, newCol)) {
+                const targetPiece = this.board[newRow][newCol];
+                if (!targetPiece || targetPiece.color !== color) {
+                    moves.push({ row: newRow, col: newCol });
+                }
+            }
+        }
+
+        return moves;
+    }
+
+    // Castling moves (the king may not castle out of, through or into check)
+    getCastlingMoves(row, col, color) {
+        const moves = [];
+        const homeRow = color === 'white' ? 7 : 0;
+        const rights = this.castlingRights[color];
+
+        if (row !== homeRow || col !== 4) return moves;
+        if (!rights.kingSide && !rights.queenSide) return moves;
+
+        const opponent = color === 'white' ? 'black' : 'white';
+        if (this.isSquareAttacked(row, col, opponent)) return moves;
+
+        const isRook = (rookCol) => {
+            const piece = this.board[row][rookCol];
+            return piece && piece.type === 'rook' && piece.color === color;
+        };
+        const isEmpty = (cols) => cols.every(c => !this.board[row][c]);
+        const isSafe = (cols) => cols.every(c => !this.isSquareAttacked(row, c, opponent));
+
+        if (rights.kingSide && isRook(7) && isEmpty([5, 6]) && isSafe([5, 6])) {
+            moves.push({ row, col: 6, castle: 'kingSide' });
+        }
+
+        if (rights.queenSide && isRook(0) && isEmpty([1, 2, 3]) && isSafe([2, 3])) {
+            moves.push({ row, col: 2, castle: 'queenSide' });
+        }
+
+        return moves;
+    }
+
+    // Get every legal move for a color as { from, to, promotion }
+    // (promotions are separate moves for each piece the pawn can become)
+    getAllMoves(color) {
+        const allMoves = [];
+        const checkInfo = this.getCheckInfo(color);
+
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = this.board[row][col];
+                if (!piece || piece.color !== color) continue;
+
+                for (const move of this.getLegalMoves(row, col, checkInfo)) {
+                    const promotions = this.isPromotionMove(row, col, move.row)
+                        ? ChessPosition.PROMOTION_PIECES
+                        : [undefined];
+                    for (const promotion of promotions) {
+                        allMoves.push({
+                            from: { row, col },
+                            to: { row: move.row, col: move.col },
+                            promotion
+                        });
+                    }
+                }
+            }
+        }
+
+        return allMoves;
+    }
+
+    // Count the leaf nodes of the legal move tree to a depth (perft), to check the move generator
+    perft(depth) {
+        if (depth === 0) return 1;
+
+        const moves = this.getAllMoves(this.currentPlayer);
+        if (depth === 1) return moves.length;
+
+        let nodes = 0;
+        for (const move of moves) {
+            this.applyMove(move.from.row, move.from.col, move.to.row, move.to.col, move.promotion);
+            nodes += this.perft(depth - 1);
+            this.revertMove();
+        }
+        return nodes;
+    }
+
+    // Perft split by root move, for comparing against another engine's divide output
+    // Returns { moves: { e2e4: 20, ... }, nodes } with moves in UCI notation
+    perftDivide(depth) {
+        const moves = {};
+        let nodes = 0;
+        for (const move of this.getAllMoves(this.currentPlayer)) {
+            this.applyMove(move.from.row, move.from.col, move.to.row, move.to.col, move.promotion);
+            const count = this.perft(depth - 1);
+            this.revertMove();
+
+            moves[this.getUCI(move)] = count;
+            nodes += count;
+        }
+        return { moves, nodes };
+    }
+
+    // Write a move as UCI long algebraic notation, e.g. e2e4 or e7e8q
+    getUCI(move) {
+        const promotion = move.promotion ? ChessPosition.FEN_LETTERS[move.promotion] : '';
+        return `${this.getSquareName(move.from.row, move.from.col)}${this.getSquareName(move.to.row, move.to.col)}${promotion}`;
+    }
+
+    // Find the legal move written in UCI notation, or null if there is none
+    findMoveByUCI(uci) {
+        return this.getAllMoves(this.currentPlayer).find(move => this.getUCI(move) === uci) || null;
+    }
+
+    // Check if a pawn move reaches the last rank
+    isPromotionMove(fromRow, fromCol, toRow) {
+        const piece = this.board[fromRow][fromCol];
+        return !!piece && piece.type === 'pawn' && (toRow === 0 || toRow === 7);
+    }
+
+    // Check if position is valid
+    isValidPosition(row, col) {
+        return row >= 0 && row < 8 && col >= 0 && col < 8;
+    }
+
+    // Apply a move to the board and rule state, returning the history record
+    applyMove(fromRow, fromCol, toRow, toCol, promotion = 'queen') {
+        const piece = this.board[fromRow][fromCol];
+        const capturedPiece = this.board[toRow][toCol];
+
+        const move = {
+            from: { row: fromRow, col: fromCol },
+            to: { row: toRow, col: toCol },
+            piece: { ...piece },
+            capturedPiece: capturedPiece ? { ...capturedPiece } : null,
+            castle: null,
+            enPassant: null,
+            promotion: null,
+            castlingRights: this.copyCastlingRights(),
+            enPassantTarget: this.enPassantTarget,
+            halfmoveClock: this.halfmoveClock,
+            fullmoveNumber: this.fullmoveNumber
+        };
+
+        // En passant: the captured pawn is beside the moving pawn, not on the target square
+        if (piece.type === 'pawn' && fromCol !== toCol && !capturedPiece) {
+            move.enPassant = { row: fromRow, col: toCol };
+            move.capturedPiece = { ...this.board[fromRow][toCol] };
+            this.board[fromRow][toCol] = null;
+        }
+
+        // Castling: the king moves two squares and the rook jumps over it
+        if (piece.type === 'king' && Math.abs(toCol - fromCol) === 2) {
+            const kingSide = toCol > fromCol;
+            move.castle = {
+                side: kingSide ? 'kingSide' : 'queenSide',
+                rookFrom: { row: fromRow, col: kingSide ? 7 : 0 },
+                rookTo: { row: fromRow, col: kingSide ? 5 : 3 }
+            };
+            this.board[fromRow][move.castle.rookTo.col] = this.board[fromRow][move.castle.rookFrom.col];
+            this.board[fromRow][move.castle.rookFrom.col] = null;
+        }
+
+        // Move the piece
+        this.board[toRow][toCol] = piece;
+        this.board[fromRow][fromCol] = null;
+
+        // Handle pawn promotion
+        if (piece.type === 'pawn' && (toRow === 0 || toRow === 7)) {
+            move.promotion = promotion;
+            this.board[toRow][toCol] = { type: promotion, color: piece.color };
+        }
+
+        this.updateCastlingRights(piece, fromRow, fromCol, toRow, toCol);
+
+        // Remember the skipped square after a double pawn push
+        if (piece.type === 'pawn' && Math.abs(toRow - fromRow) === 2) {
+            this.enPassantTarget = { row: (fromRow + toRow) / 2, col: fromCol };
+        } else {
+            this.enPassantTarget = null;
+        }
+
+        // Captures and pawn moves reset the fifty-move counter
+        if (piece.type === 'pawn' || move.capturedPiece) {
+            this.halfmoveClock = 0;
+        } else {
+            this.halfmoveClock++;
+        }
+
+        if (piece.color === 'black') {
+            this.fullmoveNumber++;
+        }
+
+        // Switch players
+        this.currentPlayer = piece.color === 'white' ? 'black' : 'white';
+
+        this.moveHistory.push(move);
+        this.positionHistory.push(this.getPositionKey());
+        return move;
+    }
+
+    // Apply a move and record its SAN in the history record as move.san
+    // (slower than applyMove, so searches use applyMove directly)
+    applyMoveWithNotation(fromRow, fromCol, toRow, toCol, promotion = 'queen') {
+        const san = this.getSAN(fromRow, fromCol, toRow, toCol, promotion);
+        const move = this.applyMove(fromRow, fromCol, toRow, toCol, promotion);
+
+        // Check and checkmate suffixes depend on the position after the move
+        if (this.isInCheck(this.currentPlayer)) {
+            move.san = san + (this.hasLegalMoves(this.currentPlayer) ? '+' : '#');
+        } else {
+            move.san = san;
+        }
+
+        return move;
+    }
+
+    // Revert the last applied move, returning its history record
+    revertMove() {
+        const move = this.moveHistory.pop();
+        if (!move) return null;
+
+        // Restore the moving piece (a promoted piece turns back into a pawn)
+        // and whatever it captured
+        this.board[move.from.row][move.from.col] = move.piece;
+        this.board[move.to.row][move.to.col] = move.enPassant ? null : move.capturedPiece;
+
+        if (move.enPassant) {
+            this.board[move.enPassant.row][move.enPassant.col] = move.capturedPiece;
+        }
+
+        if (move.castle) {
+            const { rookFrom, rookTo } = move.castle;
+            this.board[rookFrom.row][rookFrom.col] = this.board[rookTo.row][rookTo.col];
+            this.board[rookTo.row][rookTo.col] = null;
+        }
+
+        this.castlingRights = move.castlingRights;
+        this.enPassantTarget = move.enPassantTarget;
+        this.halfmoveClock = move.halfmoveClock;
+        this.fullmoveNumber = move.fullmoveNumber;
+        this.currentPlayer = move.piece.color;
+        this.positionHistory.pop();
+
+        return move;
+    }
+
+    // Copy castling rights so history records are not affected by later moves
+    copyCastlingRights() {
+        return {
+            white: { ...this.castlingRights.white },
+            black: { ...this.castlingRights.black }
+        };
+    }
+
+    // Revoke castling rights when a king or rook moves, or a rook is captured
+    updateCastlingRights(piece, fromRow, fromCol, toRow, toCol) {
+        if (piece.type === 'king') {
+            this.castlingRights[piece.color].kingSide = false;
+            this.castlingRights[piece.color].queenSide = false;
+        }
+
+        // Any move from or to a rook's home corner ends castling on that side
+        const corners = [
+            { row: 7, col: 7, color: 'white', side: 'kingSide' },
+            { row: 7, col: 0, color: 'white', side: 'queenSide' },
+            { row: 0, col: 7, color: 'black', side: 'kingSide' },
+            { row: 0, col: 0, color: 'black', side: 'queenSide' }
+        ];
+
+        for (const corner of corners) {
+            if ((fromRow === corner.row && fromCol === corner.col) ||
+                (toRow === corner.row && toCol === corner.col)) {
+                this.castlingRights[corner.color][corner.side] = false;
+            }
+        }
+    }
+
+    // Check if a color is in check
+    isInCheck(color) {
+        const king = this.findKing(color);
+        if (!king) return false;
+
+        const opponent = color === 'white' ? 'black' : 'white';
+        return this.isSquareAttacked(king.row, king.col, opponent);
+    }
+
+    // Find a color's king, or null if it has none
+    findKing(color) {
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = this.board[row][col];
+                if (piece && piece.type === 'king' && piece.color === color) {
+                    return { row, col };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    // Check if any piece of the given color attacks a square
+    // Looks outward from the square for each kind of attacker rather than generating enemy moves
+    isSquareAttacked(row, col, byColor) {
+        const isAttacker = (r, c, types) => {
+            const piece = this.board[r][c];
+            return !!piece && piece.color === byColor && types.includes(piece.type);
+        };
+
+        // Pawns only attack diagonally forward, so an attacker stands one row behind the square
+        const pawnRow = row + (byColor === 'white' ? 1 : -1);
+        for (const c of [col - 1, col + 1]) {
+            if (this.isValidPosition(pawnRow, c) && isAttacker(pawnRow, c, ['pawn'])) return true;
+        }
+
+        for (const [dRow, dCol] of ChessPosition.KNIGHT_OFFSETS) {
+            const r = row + dRow;
+            const c = col + dCol;
+            if (this.isValidPosition(r, c) && isAttacker(r, c, ['knight'])) return true;
+        }
+
+        for (const [dRow, dCol] of ChessPosition.KING_OFFSETS) {
+            const r = row + dRow;
+            const c = col + dCol;
+            if (this.isValidPosition(r, c) && isAttacker(r, c, ['king'])) return true;
+        }
+
+        // The first piece along each line attacks if it slides that way
+        for (const [dRow, dCol] of ChessPosition.KING_OFFSETS) {
+            const sliders = dRow && dCol ? ['bishop', 'queen'] : ['rook', 'queen'];
+            for (let r = row + dRow, c = col + dCol; this.isValidPosition(r, c); r += dRow, c += dCol) {
+                if (!this.board[r][c]) continue;
+                if (isAttacker(r, c, sliders)) return true;
+                break;
+            }
+        }
+
+        return false;
+    }
+
+    // Every square a color attacks, as { row, col }, whether empty or occupied
+    getAttackedSquares(byColor) {
+        const squares = [];
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                if (this.isSquareAttacked(row, col, byColor)) squares.push({ row, col });
+            }
+        }
+        return squares;
+    }
+
+    // Pieces of a color that the opponent attacks and no piece of their own defends, as { row, col }
+    // (kings are left out: an attacked king is in check, not hanging)
+    getHangingPieces(color) {
+        const opponent = color === 'white' ? 'black' : 'white';
+        const hanging = [];
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = this.board[row][col];
+                if (!piece || piece.color !== color || piece.type === 'king') continue;
+                if (this.isSquareAttacked(row, col, opponent) && !this.isSquareAttacked(row, col, color)) {
+                    hanging.push({ row, col });
+                }
+            }
+        }
+        return hanging;
+    }
+
+    // Get valid moves without checking for check (to avoid infinite recursion)
+    getValidMovesWithoutCheckTest(row, col) {
+        const piece = this.board[row][col];
+        if (!piece) return [];
+
+        switch (piece.type) {
+            case 'pawn': return this.getPawnMoves(row, col, piece.color);
+            case 'rook': return this.getRookMoves(row, col, piece.color);
+            case 'knight': return this.getKnightMoves(row, col, piece.color);
+            case 'bishop': return this.getBishopMoves(row, col, piece.color);
+            case 'queen': return this.getQueenMoves(row, col, piece.color);
+            case 'king': return this.getKingMoves(row, col, piece.color);
+            default: return [];
+        }
+    }
+
+    // Check if a move would put own king in check
+    wouldBeInCheck(fromRow, fromCol, toRow, toCol, color) {
+        // Simulate the move
+        const piece = this.board[fromRow][fromCol];
+        const capturedPiece = this.board[toRow][toCol];
+
+        // An en passant capture also removes the pawn beside the moving pawn
+        const enPassantPawn = piece.type === 'pawn' && fromCol !== toCol && !capturedPiece
+            ? this.board[fromRow][toCol]
+            : null;
+
+        this.board[toRow][toCol] = piece;
+        this.board[fromRow][fromCol] = null;
+        if (enPassantPawn) this.board[fromRow][toCol] = null;
+
+        const inCheck = this.isInCheck(color);
+
+        // Undo the move
+        this.board[fromRow][fromCol] = piece;
+        this.board[toRow][toCol] = capturedPiece;
+        if (enPassantPawn) this.board[fromRow][toCol] = enPassantPawn;
+
+        return inCheck;
+    }
+
+    // Check if a color is in checkmate
+    isCheckmate(color) {
+        return this.isInCheck(color) && !this.hasLegalMoves(color);
+    }
+
+    // Check if a color is in stalemate
+    isStalemate(color) {
+        return !this.isInCheck(color) && !this.hasLegalMoves(color);
+    }
+
+    // Check if any piece of a color has a legal move
+    hasLegalMoves(color) {
+        const checkInfo = this.getCheckInfo(color);
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = this.board[row][col];
+                if (piece && piece.color === color && this.getLegalMoves(row, col, checkInfo).length > 0) {
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    // Build a key identifying the position for repetition detection
+    // (the first four FEN fields, without the move counters)
+    getPositionKey() {
+        const [placement, side, castling] = this.toFEN().split(' ');
+
+        // The en passant square only distinguishes positions when the capture is actually possible
+        const enPassant = this.canCaptureEnPassant()
+            ? this.getSquareName(this.enPassantTarget.row, this.enPassantTarget.col)
+            : '-';
+
+        return `${placement} ${side} ${castling} ${enPassant}`;
+    }
+
+    // Check if the side to move has a legal en passant capture
+    canCaptureEnPassant() {
+        const target = this.enPassantTarget;
+        if (!target) return false;
+
+        const pawnRow = this.currentPlayer === 'white' ? target.row + 1 : target.row - 1;
+        for (const col of [target.col - 1, target.col + 1]) {
+            if (!this.isValidPosition(pawnRow, col)) continue;
+
+            const piece = this.board[pawnRow][col];
+            if (piece && piece.type === 'pawn' && piece.color === this.currentPlayer &&
+                this.getValidMoves(pawnRow, col).some(move => move.enPassant)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    // Count how many times the current position has occurred
+    countRepetitions() {
+        const key = this.positionHistory[this.positionHistory.length - 1];
+        return this.positionHistory.filter(k => k === key).length;
+    }
+
+    // Total value of a side's pieces on the board, in pawns (promoted pieces count at their new value)
+    getMaterial(color) {
+        let material = 0;
+        for (const row of this.board) {
+            for (const piece of row) {
+                if (piece && piece.color === color) material += ChessPosition.MATERIAL_VALUES[piece.type];
+            }
+        }
+        return material;
+    }
+
+    // Check if neither side has enough material to deliver checkmate
+    hasInsufficientMaterial() {
+        const minors = [];
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = this.board[row][col];
+                if (!piece || piece.type === 'king') continue;
+                if (piece.type !== 'bishop' && piece.type !== 'knight') return false;
+                minors.push({ ...piece, squareColor: (row + col) % 2 });
+            }
+        }
+
+        // King vs king, or king and a single minor piece vs king
+        if (minors.length <= 1) return true;
+
+        // Only bishops left, all on the same square color
+        return minors.every(piece => piece.type === 'bishop' && piece.squareColor === minors[0].squareColor);
+    }
+
+    // Determine whether the game has ended for the side to move
+    // Returns { winner, reason } or null while the game goes on
+    getGameResult() {
+        const color = this.currentPlayer;
+        const opponent = color === 'white' ? 'black' : 'white';
+
+        if (!this.hasLegalMoves(color)) {
+            return this.isInCheck(color)
+                ? { winner: opponent, reason: 'checkmate' }
+                : { winner: null, reason: 'stalemate' };
+        }
+
+        if (this.halfmoveClock >= 100) {
+            return { winner: null, reason: 'fifty-move-rule' };
+        }
+
+        if (this.countRepetitions() >= 3) {
+            return { winner: null, reason: 'threefold-repetition' };
+        }
+
+        if (this.hasInsufficientMaterial()) {
+            return { winner: null, reason: 'insufficient-material' };
+        }
+
+        return null;
+    }
+
+    // Check if a color could ever checkmate (a lone king, or a king with one bishop or knight, cannot)
+    hasMatingMaterial(color) {
+        let minors = 0;
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = this.board[row][col];
+                if (!piece || piece.color !== color || piece.type === 'king') continue;
+                if (piece.type !== 'bishop' && piece.type !== 'knight') return true;
+                minors++;
+            }
+        }
+        return minors >= 2;
+    }
+
+    // Result when a color runs out of time: a loss, or a draw if the opponent cannot checkmate
+    getTimeoutResult(color) {
+        const opponent = color === 'white' ? 'black' : 'white';
+        return this.hasMatingMaterial(opponent)
+            ? { winner: opponent, reason: 'timeout', flagged: color }
+            : { winner: null, reason: 'timeout-insufficient-material', flagged: color };
+    }
+
+    // Snapshot the rule state (plain data, safe to post to a worker)
+    getState() {
+        return {
+            board: this.board.map(row => row.map(piece => piece ? { ...piece } : null)),
+            currentPlayer: this.currentPlayer,
+            castlingRights: this.copyCastlingRights(),
+            enPassantTarget: this.enPassantTarget,
+            halfmoveClock: this.halfmoveClock,
+            fullmoveNumber: this.fullmoveNumber,
+            positionHistory: [...this.positionHistory]
+        };
+    }
+
+    // Restore the rule state from getState()
+    loadState(state) {
+        this.board = state.board.map(row => row.map(piece => piece ? { ...piece } : null));
+        this.currentPlayer = state.currentPlayer;
+        this.castlingRights = {
+            white: { ...state.castlingRights.white },
+            black: { ...state.castlingRights.black }
+        };
+        this.enPassantTarget = state.enPassantTarget;
+        this.halfmoveClock = state.halfmoveClock;
+        this.fullmoveNumber = state.fullmoveNumber;
+        this.positionHistory = [...state.positionHistory];
+        this.moveHistory = [];
+    }
+
+    // Get the algebraic name of a square (row 0 is rank 8)
+    getSquareName(row, col) {
+        return `${'abcdefgh'[col]}${8 - row}`;
+    }
+
+    // Parse an algebraic square name into { row, col }, or null if malformed
+    parseSquareName(name) {
+        const match = /^([a-h])([1-8])$/.exec(name);
+        if (!match) return null;
+        return { row: 8 - parseInt(match[2]), col: match[1].charCodeAt(0) - 97 };
+    }
+
+    // Export the current position as FEN
+    toFEN() {
+        const placement = this.board.map(row => {
+            let rank = '';
+            let empty = 0;
+            for (const piece of row) {
+                if (!piece) {
+                    empty++;
+                    continue;
+                }
+                if (empty) rank += empty;
+                empty = 0;
+                const letter = ChessPosition.FEN_LETTERS[piece.type];
+                rank += piece.color === 'white' ? letter.toUpperCase() : letter;
+            }
+            return empty ? rank + empty : rank;
+        }).join('/');
+
+        const rights = this.castlingRights;
+        const castling = [
+            rights.white.kingSide ? 'K' : '',
+            rights.white.queenSide ? 'Q' : '',
+            rights.black.kingSide ? 'k' : '',
+            rights.black.queenSide ? 'q' : ''
+        ].join('') || '-';
+
+        const enPassant = this.enPassantTarget
+            ? this.getSquareName(this.enPassantTarget.row, this.enPassantTarget.col)
+            : '-';
+
+        const side = this.currentPlayer === 'white' ? 'w' : 'b';
+        return `${placement} ${side} ${castling} ${enPassant} ${this.halfmoveClock} ${this.fullmoveNumber}`;
+    }
+
+    // Load a position from FEN, replacing the game state and clearing history, then emit 'load'
+    // moves: legal moves to replay from the position, e.g. from parsePGN
+    // Throws an Error describing the problem if the FEN is malformed; the position is unchanged then
+    loadFEN(fen, moves = []) {
+        const fields = String(fen).trim().split(/\s+/);
+        if (fields.length !== 6) {
+            throw new Error(`Expected 6 fields (pieces, side to move, castling, en passant, halfmove clock, fullmove number) but found ${fields.length}`);
+        }
+
+        const [placement, side, castling, enPassant, halfmove, fullmove] = fields;
+
+        // Piece placement, rank 8 first
+        const ranks = placement.split('/');
+        if (ranks.length !== 8) {
+            throw new Error(`Piece placement must have 8 ranks separated by "/" but has ${ranks.length}`);
+        }
+
+        const board = ranks.map((rank, row) => {
+            const squares = [];
+            for (const char of rank) {
+                if (/[1-8]/.test(char)) {
+                    squares.push(...Array(parseInt(char)).fill(null));
+                    continue;
+                }
+
+                const type = ChessPosition.FEN_PIECES[char.toLowerCase()];
+                if (!type) {
+                    throw new Error(`Unknown piece "${char}" on rank ${8 - row}`);
+                }
+                squares.push({ type, color: char === char.toUpperCase() ? 'white' : 'black' });
+            }
+
+            if (squares.length !== 8) {
+                throw new Error(`Rank ${8 - row} has ${squares.length} squares instead of 8`);
+            }
+            return squares;
+        });
+
+        for (const color of ['white', 'black']) {
+            const kings = board.flat().filter(piece => piece && piece.type === 'king' && piece.color === color);
+            if (kings.length !== 1) {
+                throw new Error(`Expected exactly one ${color} king but found ${kings.length}`);
+            }
+        }
+
+        if ([...board[0], ...board[7]].some(piece => piece && piece.type === 'pawn')) {
+            throw new Error('Pawns cannot stand on the first or last rank');
+        }
+
+        // Side to move
+        if (side !== 'w' && side !== 'b') {
+            throw new Error(`Side to move must be "w" or "b", not "${side}"`);
+        }
+        const currentPlayer = side === 'w' ? 'white' : 'black';
+
+        // Castling rights, which need the king and rook on their home squares
+        if (!/^(-|K?Q?k?q?)$/.test(castling) || castling === '') {
+            throw new Error(`Castling rights must be "-" or a combination of "KQkq", not "${castling}"`);
+        }
+
+        const castlingRights = {
+            white: { kingSide: castling.includes('K'), queenSide: castling.includes('Q') },
+            black: { kingSide: castling.includes('k'), queenSide: castling.includes('q') }
+        };
+
+        const hasPiece = (row, col, type, color) => {
+            const piece = board[row][col];
+            return !!piece && piece.type === type && piece.color === color;
+        };
+
+        for (const color of ['white', 'black']) {
+            const homeRow = color === 'white' ? 7 : 0;
+            for (const [wing, rookCol] of [['kingSide', 7], ['queenSide', 0]]) {
+                if (castlingRights[color][wing] &&
+                    !(hasPiece(homeRow, 4, 'king', color) && hasPiece(homeRow, rookCol, 'rook', color))) {
+                    const square = this.getSquareName(homeRow, rookCol);
+                    throw new Error(`${color} cannot castle ${wing === 'kingSide' ? 'king side' : 'queen side'} without its king on e${8 - homeRow} and a rook on ${square}`);
+                }
+            }
+        }
+
+        // En passant target, which must lie behind a pawn that just made a double push
+        let enPassantTarget = null;
+        if (enPassant !== '-') {
+            enPassantTarget = this.parseSquareName(enPassant);
+            const targetRow = currentPlayer === 'white' ? 2 : 5;
+            const pawnRow = currentPlayer === 'white' ? 3 : 4;
+            const opponent = currentPlayer === 'white' ? 'black' : 'white';
+
+            if (!enPassantTarget || enPassantTarget.row !== targetRow) {
+                throw new Error(`En passant square must be "-" or a square on rank ${8 - targetRow}, not "${enPassant}"`);
+            }
+            if (!hasPiece(pawnRow, enPassantTarget.col, 'pawn', opponent) ||
+                board[enPassantTarget.row][enPassantTarget.col]) {
+                throw new Error(`En passant square ${enPassant} does not follow a ${opponent} double pawn push`);
+            }
+        }
+
+        // Move counters
+        if (!/^\d+$/.test(halfmove)) {
+            throw new Error(`Halfmove clock must be a non-negative number, not "${halfmove}"`);
+        }
+        if (!/^\d+$/.test(fullmove) || parseInt(fullmove) < 1) {
+            throw new Error(`Fullmove number must be a positive number, not "${fullmove}"`);
+        }
+
+        // The side that just moved cannot have left its king in check
+        const previousBoard = this.board;
+        this.board = board;
+        const opponent = currentPlayer === 'white' ? 'black' : 'white';
+        const opponentInCheck = this.isInCheck(opponent);
+        this.board = previousBoard;
+        if (opponentInCheck) {
+            throw new Error(`${opponent} is in check but it is ${currentPlayer}'s turn`);
+        }
+
+        this.board = board;
+        this.currentPlayer = currentPlayer;
+        this.castlingRights = castlingRights;
+        this.enPassantTarget = enPassantTarget;
+        this.halfmoveClock = parseInt(halfmove);
+        this.fullmoveNumber = parseInt(fullmove);
+        this.moveHistory = [];
+        this.positionHistory = [this.getPositionKey()];
+        this.initialFEN = this.toFEN();
+
+        // Replay any moves played from the position (PGN import)
+        for (const move of moves) {
+            this.applyMoveWithNotation(move.from.row, move.from.col, move.to.row, move.to.col, move.promotion);
+        }
+
+        this.emit('load');
+    }
+
+    // Get the Standard Algebraic Notation of a legal move, without check suffixes
+    getSAN(fromRow, fromCol, toRow, toCol, promotion = 'queen') {
+        const piece = this.board[fromRow][fromCol];
+        const target = this.getSquareName(toRow, toCol);
+
+        if (piece.type === 'king' && Math.abs(toCol - fromCol) === 2) {
+            return toCol > fromCol ? 'O-O' : 'O-O-O';
+        }
+
+        const isCapture = !!this.board[toRow][toCol] || (piece.type === 'pawn' && fromCol !== toCol);
+
+        if (piece.type === 'pawn') {
+            const file = isCapture ? `${'abcdefgh'[fromCol]}x` : '';
+            const promotionSuffix = this.isPromotionMove(fromRow, fromCol, toRow)
+                ? `=${ChessPosition.FEN_LETTERS[promotion].toUpperCase()}`
+                : '';
+            return `${file}${target}${promotionSuffix}`;
+        }
+
+        // Disambiguate between identical pieces that can reach the same square
+        const rivals = [];
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const other = this.board[row][col];
+                if ((row === fromRow && col === fromCol) || !other ||
+                    other.type !== piece.type || other.color !== piece.color) continue;
+                if (this.getValidMoves(row, col).some(move => move.row === toRow && move.col === toCol)) {
+                    rivals.push({ row, col });
+                }
+            }
+        }
+
+        let disambiguation = '';
+        if (rivals.length > 0) {
+            const from = this.getSquareName(fromRow, fromCol);
+            if (rivals.every(rival => rival.col !== fromCol)) {
+                disambiguation = from.charAt(0);
+            } else if (rivals.every(rival => rival.row !== fromRow)) {
+                disambiguation = from.charAt(1);
+            } else {
+                disambiguation = from;
+            }
+        }
+
+        const letter = ChessPosition.FEN_LETTERS[piece.type].toUpperCase();
+        return `${letter}${disambiguation}${isCapture ? 'x' : ''}${target}`;
+    }
+
+    // Get the move number of the ply-th move of the game, and whether White plays it
+    getMoveNumber(ply) {
+        const [, side, , , , fullmove] = this.initialFEN.split(' ');
+        const index = ply + (side === 'b' ? 1 : 0); // Plies since White's move of the starting fullmove
+        return { number: parseInt(fullmove) + Math.floor(index / 2), white: index % 2 === 0 };
+    }
+
+    // Export the game as PGN with the seven standard tag pairs
+    // moves: history records or tree moves with SAN (defaults to the moves played so far)
+    // result: PGN result token; players: { white, black } names
+    toPGN({ moves = this.moveHistory, result = '*', players = {} } = {}) {
+        const now = new Date();
+        const date = [
+            now.getFullYear(),
+            String(now.getMonth() + 1).padStart(2, '0'),
+            String(now.getDate()).padStart(2, '0')
+        ].join('.');
+
+        const tags = [
+            ['Event', 'In-Chesst game'],
+            ['Site', 'In-Chesst'],
+            ['Date', date],
+            ['Round', '-'],
+            ['White', players.white || '?'],
+            ['Black', players.black || '?'],
+            ['Result', result]
+        ];
+
+        // Games that did not start from the standard position carry their FEN
+        if (this.initialFEN !== ChessPosition.START_FEN) {
+            tags.push(['SetUp', '1'], ['FEN', this.initialFEN]);
+        }
+
+        const tokens = [];
+        moves.forEach((move, ply) => {
+            const { number, white } = this.getMoveNumber(ply);
+            if (white) {
+                tokens.push(`${number}.`);
+            } else if (ply === 0) {
+                tokens.push(`${number}...`);
+            }
+            tokens.push(move.san);
+        });
+        tokens.push(result);
+
+        // Wrap movetext at 80 columns
+        const lines = [];
+        let line = '';
+        for (const token of tokens) {
+            if (line && line.length + token.length + 1 > 80) {
+                lines.push(line);
+                line = token;
+            } else {
+                line = line ? `${line} ${token}` : token;
+            }
+        }
+        lines.push(line);
+
+        const header = tags.map(([name, value]) => `[${name} "${value.replace(/[\\"]/g, '\\$&')}"]`);
+        return `${header.join('\n')}\n\n${lines.join('\n')}\n`;
+    }
+
+    // Parse a PGN game and check every move against the legal move generator
+    // Returns { tags, fen, moves } or throws an Error naming the offending line
+    parsePGN(pgn) {
+        const text = String(pgn).replace(/\r\n?/g, '\n');
+        const tags = {};
+        const tokens = [];
+
+        // Scan tag pairs and movetext tokens, keeping each token's line number
+        let line = 1;
+        let i = 0;
+        let depth = 0; // Nesting level of ( ) variations, which are skipped
+        while (i < text.length) {
+            const char = text[i];
+
+            if (char === '\n') {
+                line++;
+                i++;
+            } else if (/\s/.test(char)) {
+                i++;
+            } else if (char === '{') {
+                const end = text.indexOf('}', i);
+                if (end === -1) throw new Error(`Line ${line}: unterminated comment`);
+                line += (text.slice(i, end).match(/\n/g) || []).length;
+                i = end + 1;
+            } else if (char === ';') {
+                const end = text.indexOf('\n', i);
+                i = end === -1 ? text.length : end;
+            } else if (char === '(') {
+                depth++;
+                i++;
+            } else if (char === ')') {
+                if (depth === 0) throw new Error(`Line ${line}: unexpected ")"`);
+                depth--;
+                i++;
+            } else if (char === '[' && depth === 0) {
+                const end = text.indexOf(']', i);
+                const match = end === -1 ? null : /^\[\s*(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]$/.exec(text.slice(i, end + 1));
+                if (!match) throw new Error(`Line ${line}: malformed tag pair`);
+                tags[match[1]] = match[2].replace(/\\(.)/g, '$1');
+                i = end + 1;
+            } else {
+                const match = /^[^\s{}();[\]]+/.exec(text.slice(i));
+                if (!match) throw new Error(`Line ${line}: unexpected "${char}"`);
+                if (depth === 0) tokens.push({ text: match[0], line });
+                i += match[0].length;
+            }
+        }
+
+        if (depth > 0) throw new Error(`Line ${line}: unterminated variation`);
+
+        // Replay the moves on a scratch position
+        const fen = tags.FEN || ChessPosition.START_FEN;
+        const game = new ChessPosition();
+        try {
+            game.loadFEN(fen);
+        } catch (err) {
+            throw new Error(`FEN tag: ${err.message}`);
+        }
+
+        const moves = [];
+        for (const token of tokens) {
+            // Skip move numbers, annotation glyphs and the game result
+            const san = token.text.replace(/^\d+\.+/, '');
+            if (!san || /^\$\d+$/.test(san) || ['1-0', '0-1', '1/2-1/2', '*'].includes(san)) continue;
+
+            const move = game.findMoveBySAN(san);
+            if (!move) {
+                throw new Error(`Line ${token.line}: illegal move "${san}" for ${game.currentPlayer}`);
+            }
+            game.applyMove(move.from.row, move.from.col, move.to.row, move.to.col, move.promotion);
+            moves.push(move);
+        }
+
+        return { tags, fen, moves };
+    }
+
+    // Find the legal move written as SAN, or null if there is none
+    // (tolerates check marks, annotations, 0-0 castling and promotions without "=")
+    findMoveBySAN(san) {
+        const normalize = (text) => text
+            .replace(/[+#!?]+$/, '')
+            .replace(/0/g, 'O')
+            .replace(/([a-h][18])([QRBN])$/, '$1=$2');
+        const wanted = normalize(san);
+
+        return this.getAllMoves(this.currentPlayer).find(move =>
+            this.getSAN(move.from.row, move.from.col, move.to.row, move.to.col, move.promotion) === wanted
+        ) || null;
+    }
+
+    // Find the legal move typed by a player as SAN or UCI, or null if there is none
+    // (also takes lowercase piece letters and castling, as in "nf3" or "o-o")
+    findTypedMove(text) {
+        text = text.trim();
+        if (!text) return null;
+
+        const capitalized = text
+            .replace(/^[kqrbn](?=[a-h1-8x]*[a-h][1-8])/, letter => letter.toUpperCase())
+            .replace(/^o-o(-o)?/i, castle => castle.toUpperCase());
+        return this.findMoveBySAN(text) || this.findMoveByUCI(text.toLowerCase()) || this.findMoveBySAN(capitalized);
+    }
+
+    // Describe a history record in words, as a screen reader announces it
+    describeMove(move) {
+        const { color, type } = move.piece;
+        if (move.castle) {
+            return `${color} castles ${move.castle.side === 'kingSide' ? 'king' : 'queen'} side`;
+        }
+
+        let text = `${color} ${type} ${this.getSquareName(move.from.row, move.from.col)} to ${this.getSquareName(move.to.row, move.to.col)}`;
+        if (move.capturedPiece) {
+            text += `, takes ${move.capturedPiece.type}${move.enPassant ? ' en passant' : ''}`;
+        }
+        if (move.promotion) {
+            text += `, promotes to ${move.promotion}`;
+        }
+        return text;
+    }
+}
+
+// Pieces a pawn can promote to, in picker order
+ChessPosition.PROMOTION_PIECES = ['queen', 'rook', 'bishop', 'knight'];
+
+// Knight jumps, and the eight directions a king steps (and queens, rooks and bishops slide)
+ChessPosition.KNIGHT_OFFSETS = [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]];
+ChessPosition.KING_OFFSETS = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+
+// Conventional piece values in pawns, for the material balance shown beside the board
+ChessPosition.MATERIAL_VALUES = { pawn: 1, knight: 3, bishop: 3, rook: 5, queen: 9, king: 0 };
+
+// Standard starting position
+ChessPosition.START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+// FEN piece letters (lowercase; uppercase is White)
+ChessPosition.FEN_PIECES = { p: 'pawn', n: 'knight', b: 'bishop', r: 'rook', q: 'queen', k: 'king' };
+ChessPosition.FEN_LETTERS = { pawn: 'p', knight: 'n', bishop: 'b', rook: 'r', queen: 'q', king: 'k' };
+
+if (typeof module !== 'undefined') {
+    module.exports = { ChessPosition };
+}
@@ -0,0 +1,178 @@
+// Saved games - the game kept as versioned JSON in localStorage, as an autosave and in named slots
+// A save is { version, name, savedAt, fen, moves, ply, clock, settings }:
+//   fen: the position the game started from
+//   moves: the line shown in the move list, as UCI moves; the first ply of them lead to the position on the board
+//   clock: null for an untimed game, or { timeControl, remaining: { white, black }, running } with the
+//     ChessClock time control and each side's time left in milliseconds, running being the color whose time ran
+//   settings: { gameMode, difficulty, computerColor, flipped, theme, view, mesh, overlays }, mesh being the
+//     { name, vertices } of a mesh view, which is gone after a reload unless the save brings it back
+const SAVE_VERSION = 2;
+
+// Upgrades for older saves: SAVE_MIGRATIONS[n](save) returns a version n save brought up to version n + 1
+// (when a rule addition needs more game state, its migration fills it in for the saves made before)
+const SAVE_MIGRATIONS = {
+    // Version 2 keeps the clocks; games saved before come back untimed
+    1: save => ({ ...save, clock: null })
+};
+
+// Bring a save up to SAVE_VERSION, throwing an Error if it can't be
+function migrateSave(save) {
+    if (!save || typeof save !== 'object' || !Number.isInteger(save.version)) {
+        throw new Error('Save has no version');
+    }
+    if (save.version > SAVE_VERSION) {
+        throw new Error(`Save version ${save.version} is newer than this game (version ${SAVE_VERSION})`);
+    }
+
+    while (save.version < SAVE_VERSION) {
+        const migrate = SAVE_MIGRATIONS[save.version];
+        if (!migrate) {
+            throw new Error(`Save version ${save.version} can no longer be upgraded`);
+        }
+        save = { ...migrate(save), version: save.version + 1 };
+    }
+    return save;
+}
+
+// Read a save from JSON, throwing an Error that says what is wrong with it
+function parseSave(json) {
+    let save;
+    try {
+        save = JSON.parse(json);
+    } catch (err) {
+        throw new Error(`Save is not valid JSON (${err.message})`);
+    }
+
+    save = migrateSave(save);
+    if (typeof save.fen !== 'string') {
+        throw new Error('Save needs the FEN the game started from');
+    }
+    if (!Array.isArray(save.moves) || !save.moves.every(move => typeof move === 'string')) {
+        throw new Error('Save moves must be a list of UCI moves');
+    }
+    if (!Number.isInteger(save.ply) || save.ply < 0 || save.ply > save.moves.length) {
+        throw new Error(`Save ply ${save.ply} is outside its ${save.moves.length} moves`);
+    }
+    if (save.clock !== null) {
+        const { timeControl, remaining, running } = save.clock || {};
+        if (!timeControl || !(timeControl.initial > 0) || !(timeControl.bonus >= 0) || !['increment', 'delay'].includes(timeControl.bonusType)) {
+            throw new Error('Save clock needs its time control');
+        }
+        if (!remaining || !(remaining.white >= 0) || !(remaining.black >= 0)) {
+            throw new Error('Save clock needs the time left for both sides');
+        }
+        if (![null, 'white', 'black'].includes(running)) {
+            throw new Error(`Save clock running "${running}" is not a color`);
+        }
+    }
+    if (!save.settings || typeof save.settings !== 'object') {
+        throw new Error('Save needs its settings');
+    }
+
+    return save;
+}
+
+// The saved games in a Storage (localStorage in the browser): one autosave plus any number of named slots
+class SaveStore {
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    // Read the save under a key, or null if there is none
+    read(key) {
+        const json = this.storage.getItem(key);
+        return json === null ? null : parseSave(json);
+    }
+
+    // Write a save under a key
+    write(key, save) {
+        this.storage.setItem(key, JSON.stringify(save));
+    }
+
+    // The game saved after the last move, or null
+    getAutosave() {
+        return this.read(SaveStore.AUTOSAVE_KEY);
+    }
+
+    // Replace the autosave
+    setAutosave(save) {
+        this.write(SaveStore.AUTOSAVE_KEY, save);
+    }
+
+    // Names and save times of the slots, newest first
+    // (a slot that can't be read is listed with a null savedAt, so it can still be deleted)
+    listSlots() {
+        const slots = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (!key.startsWith(SaveStore.SLOT_PREFIX)) continue;
+
+            let savedAt = null;
+            try {
+                savedAt = this.read(key).savedAt || null;
+            } catch (err) {
+                // Listed without a time
+            }
+            slots.push({ name: key.slice(SaveStore.SLOT_PREFIX.length), savedAt });
+        }
+
+        return slots.sort((a, b) => (b.savedAt || '').localeCompare(a.savedAt || '') || a.name.localeCompare(b.name));
+    }
+
+    // Check if a slot exists
+    hasSlot(name) {
+        return this.storage.getItem(SaveStore.SLOT_PREFIX + name) !== null;
+    }
+
+    // Save a game in a slot, replacing any save of the same name
+    saveSlot(name, save) {
+        name = this.checkSlotName(name);
+        this.write(SaveStore.SLOT_PREFIX + name, { ...save, name });
+        return name;
+    }
+
+    // Read the save in a slot
+    loadSlot(name) {
+        const save = this.read(SaveStore.SLOT_PREFIX + name);
+        if (!save) {
+            throw new Error(`There is no saved game named "${name}"`);
+        }
+        return save;
+    }
+
+    // Give a slot a new name that no other slot has
+    renameSlot(name, newName) {
+        newName = this.checkSlotName(newName);
+        const save = this.loadSlot(name);
+        if (newName === name) return newName;
+        if (this.hasSlot(newName)) {
+            throw new Error(`There is already a saved game named "${newName}"`);
+        }
+
+        this.write(SaveStore.SLOT_PREFIX + newName, { ...save, name: newName });
+        this.deleteSlot(name);
+        return newName;
+    }
+
+    // Remove a slot
+    deleteSlot(name) {
+        this.storage.removeItem(SaveStore.SLOT_PREFIX + name);
+    }
+
+    // Trim a slot name, throwing an Error if nothing is left
+    checkSlotName(name) {
+        const trimmed = String(name).trim();
+        if (!trimmed) {
+            throw new Error('Saved games need a name');
+        }
+        return trimmed;
+    }
+}
+
+// Storage keys: the autosave, and each slot's name after the prefix
+SaveStore.AUTOSAVE_KEY = 'in-chesst:autosave';
+SaveStore.SLOT_PREFIX = 'in-chesst:save:';
+
+if (typeof module !== 'undefined') {
+    module.exports = { SAVE_VERSION, SAVE_MIGRATIONS, migrateSave, parseSave, SaveStore };
+}
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ChessPosition } = require('../engine.js');
+const { RandomAI, MinimaxAI, WorkerAI } = require('../ai.js');
+
+test('RandomAI picks a legal move', () => {
+    const position = new ChessPosition();
+    const move = new RandomAI(position).selectMove('white');
+    assert.ok(position.getValidMoves(move.from.row, move.from.col)
+        .some(target => target.row === move.to.row && target.col === move.to.col));
+});
+
+test('MinimaxAI finds mate in one and leaves the position as it was', () => {
+    const fen = '6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1';
+    const position = new ChessPosition();
+    position.loadFEN(fen);
+
+    const move = new MinimaxAI(position, { depth: 2 }).selectMove('white');
+    assert.equal(position.getSAN(move.from.row, move.from.col, move.to.row, move.to.col), 'Ra8');
+    assert.equal(position.toFEN(), fen);
+});
+
+test('MinimaxAI takes a hanging queen', () => {
+    const position = new ChessPosition();
+    position.loadFEN('4k3/8/8/3q4/8/8/8/3RK3 w - - 0 1');
+
+    const move = new MinimaxAI(position, { depth: 1 }).selectMove('white');
+    assert.equal(position.getSAN(move.from.row, move.from.col, move.to.row, move.to.col), 'Rxd5');
+});
+
+// A stand-in for the browser's Worker that answers only when told to
+class FakeWorker {
+    constructor() {
+        this.listeners = { message: [], error: [] };
+        this.posted = [];
+        this.terminated = false;
+        FakeWorker.created.push(this);
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type].push(listener);
+    }
+
+    postMessage(data) {
+        this.posted.push(data);
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+
+    // Answer the last request with a move
+    reply(move) {
+        const { id } = this.posted[this.posted.length - 1];
+        this.listeners.message.forEach(listener => listener({ data: { id, move } }));
+    }
+}
+
+// Every FakeWorker started, oldest first
+FakeWorker.created = [];
+
+test('WorkerAI keeps an idle worker and replaces one whose search is cancelled', async (t) => {
+    globalThis.Worker = FakeWorker;
+    t.after(() => delete globalThis.Worker);
+
+    const ai = new WorkerAI(new ChessPosition());
+    const first = ai.selectMove('white');
+    FakeWorker.created[0].reply('e2e4');
+    assert.equal(await first, 'e2e4');
+
+    const second = ai.selectMove('black');
+    assert.equal(FakeWorker.created.length, 1, 'the idle worker runs the next search');
+    assert.equal(FakeWorker.created[0].terminated, false);
+
+    ai.cancel();
+    assert.equal(await second, null);
+    assert.equal(FakeWorker.created[0].terminated, true);
+
+    ai.selectMove('black');
+    assert.equal(FakeWorker.created.length, 2);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ChessClock } = require('../clock.js');
+
+// A clock whose Date.now() is moved by hand
+function clockAt(t, timeControl) {
+    const time = { now: 0 };
+    t.mock.method(Date, 'now', () => time.now);
+    return { clock: new ChessClock(timeControl), time };
+}
+
+test('Fischer increment adds the full bonus after every move', (t) => {
+    const { clock, time } = clockAt(t, ChessClock.PRESETS['blitz-3+2']);
+    clock.start('white');
+    time.now = 10000;
+    assert.equal(clock.getRemaining('white'), 170000);
+
+    clock.press('white');
+    assert.equal(clock.getRemaining('white'), 172000);
+    assert.equal(clock.running, 'black');
+
+    time.now = 10500;
+    clock.press('black');
+    assert.equal(clock.getRemaining('black'), 181500, 'the increment may take a side above its starting time');
+});
+
+test('Bronstein delay gives back the time used, up to the delay', (t) => {
+    const { clock, time } = clockAt(t, ChessClock.PRESETS['blitz-5d3']);
+    clock.start('white');
+    time.now = 2000;
+    clock.press('white');
+    assert.equal(clock.getRemaining('white'), 300000);
+
+    time.now = 12000;
+    clock.press('black');
+    assert.equal(clock.getRemaining('black'), 293000);
+});
+
+test('a paused clock keeps its time until it is started again', (t) => {
+    const { clock, time } = clockAt(t, ChessClock.PRESETS['bullet-1+0']);
+    clock.start('black');
+    time.now = 5000;
+    clock.pause();
+    assert.equal(clock.running, null);
+
+    time.now = 50000;
+    assert.equal(clock.getRemaining('black'), 55000);
+    clock.start('black');
+    time.now = 51000;
+    assert.equal(clock.getRemaining('black'), 54000);
+    assert.equal(clock.getRemaining('white'), 60000);
+});
+
+test('a fallen flag reads zero and shows tenths', (t) => {
+    const { clock, time } = clockAt(t, { initial: 10500, bonus: 0, bonusType: 'increment' });
+    clock.start('white');
+    assert.equal(clock.format('white'), '0:11', 'whole seconds round up');
+
+    time.now = 1000;
+    assert.equal(clock.format('white'), '0:09.5');
+
+    time.now = 20000;
+    assert.equal(clock.getRemaining('white'), 0);
+    assert.equal(clock.format('white'), '0:00.0');
+    assert.equal(clock.format('black'), '0:11');
+});
@@ -0,0 +1,250 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ChessPosition } = require('../engine.js');
+
+// Play moves given in SAN, failing the test on an illegal one
+function play(position, ...sans) {
+    for (const san of sans) {
+        const move = position.findMoveBySAN(san);
+        assert.ok(move, `${san} should be legal in ${position.toFEN()}`);
+        position.makeMove(move.from.row, move.from.col, move.to.row, move.to.col, move.promotion);
+    }
+}
+
+function positionFrom(fen) {
+    const position = new ChessPosition();
+    position.loadFEN(fen);
+    return position;
+}
+
+function sanMoves(position) {
+    return position.getAllMoves(position.currentPlayer)
+        .map(move => position.getSAN(move.from.row, move.from.col, move.to.row, move.to.col, move.promotion));
+}
+
+test('the starting position has 20 legal moves', () => {
+    const position = new ChessPosition();
+    assert.equal(position.toFEN(), ChessPosition.START_FEN);
+    assert.equal(position.getAllMoves('white').length, 20);
+});
+
+test('makeMove emits a move event with SAN and the game result', () => {
+    const position = new ChessPosition();
+    const events = [];
+    position.on('move', event => events.push(event));
+
+    play(position, 'e4');
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].move.san, 'e4');
+    assert.equal(events[0].result, null);
+    assert.equal(position.currentPlayer, 'black');
+});
+
+test('makeMove rejects illegal moves and leaves the position unchanged', () => {
+    const position = new ChessPosition();
+    assert.throws(() => position.makeMove(6, 4, 3, 4), /Illegal move e2-e5 for white/);
+    assert.throws(() => position.makeMove(1, 4, 3, 4), /Illegal move e7-e5 for white/);
+    assert.equal(position.toFEN(), ChessPosition.START_FEN);
+});
+
+test('applyMove and revertMove do not emit events', () => {
+    const position = new ChessPosition();
+    let events = 0;
+    position.on('move', () => events++);
+
+    position.applyMove(6, 4, 4, 4);
+    position.revertMove();
+
+    assert.equal(events, 0);
+    assert.equal(position.toFEN(), ChessPosition.START_FEN);
+});
+
+test('revertMove restores castling, en passant and promotion state', () => {
+    const fens = [
+        'r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1',
+        'rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3',
+        'r3k3/1P6/8/8/8/8/8/4K3 w q - 0 1'
+    ];
+
+    for (const fen of fens) {
+        const position = positionFrom(fen);
+        for (const move of position.getAllMoves(position.currentPlayer)) {
+            position.applyMove(move.from.row, move.from.col, move.to.row, move.to.col, move.promotion);
+            position.revertMove();
+            assert.equal(position.toFEN(), fen);
+        }
+    }
+});
+
+test('castling moves the rook and is refused through check', () => {
+    const position = positionFrom('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+    play(position, 'O-O');
+    assert.deepEqual(position.board[7][5], { type: 'rook', color: 'white' });
+    assert.deepEqual(position.board[7][6], { type: 'king', color: 'white' });
+    assert.match(position.toFEN(), / kq /);
+
+    // The rook on f1 now covers f8, so Black may only castle queen side
+    assert.ok(!sanMoves(positionFrom('r3k2r/8/8/8/8/8/8/5RK1 b kq - 0 1')).includes('O-O'));
+    assert.ok(sanMoves(positionFrom('r3k2r/8/8/8/8/8/8/5RK1 b kq - 0 1')).includes('O-O-O'));
+});
+
+test('en passant is only available right after the double push', () => {
+    const position = new ChessPosition();
+    play(position, 'e4', 'Nf6', 'e5', 'd5');
+    assert.ok(sanMoves(position).includes('exd6'));
+
+    play(position, 'exd6');
+    assert.equal(position.board[3][3], null, 'the passed pawn is captured');
+
+    const later = new ChessPosition();
+    play(later, 'e4', 'd5', 'e5', 'f5', 'Nf3', 'Nc6');
+    assert.ok(!sanMoves(later).includes('exf6'));
+});
+
+test('pawns promote to the chosen piece', () => {
+    const position = positionFrom('4k3/1P6/8/8/8/8/8/4K3 w - - 0 1');
+    position.makeMove(1, 1, 0, 1, 'knight');
+
+    assert.deepEqual(position.board[0][1], { type: 'knight', color: 'white' });
+    assert.equal(position.moveHistory[0].san, 'b8=N');
+    assert.throws(() => positionFrom('4k3/1P6/8/8/8/8/8/4K3 w - - 0 1').makeMove(1, 1, 0, 1, 'king'), /Cannot promote to king/);
+});
+
+test('checkmate and stalemate end the game', () => {
+    const mate = new ChessPosition();
+    const results = [];
+    mate.on('move', ({ result }) => results.push(result));
+    play(mate, 'f3', 'e5', 'g4', 'Qh4#');
+    assert.deepEqual(results[3], { winner: 'black', reason: 'checkmate' });
+    assert.equal(mate.moveHistory[3].san, 'Qh4#');
+
+    const stalemate = positionFrom('7k/5Q2/6K1/8/8/8/8/8 b - - 0 1');
+    assert.deepEqual(stalemate.getGameResult(), { winner: null, reason: 'stalemate' });
+});
+
+test('draws by the fifty-move rule, repetition and insufficient material', () => {
+    assert.equal(positionFrom('4k3/8/8/8/8/8/8/R3K3 w - - 100 80').getGameResult().reason, 'fifty-move-rule');
+    assert.equal(positionFrom('4k3/8/8/8/8/8/8/4KB2 w - - 0 1').getGameResult().reason, 'insufficient-material');
+    assert.equal(positionFrom('4k3/8/8/8/8/8/8/4KBB1 w - - 0 1').getGameResult(), null);
+
+    const position = new ChessPosition();
+    play(position, 'Nf3', 'Nf6', 'Ng1', 'Ng8', 'Nf3', 'Nf6', 'Ng1', 'Ng8');
+    assert.deepEqual(position.getGameResult(), { winner: null, reason: 'threefold-repetition' });
+});
+
+test('running out of time draws when the opponent cannot checkmate', () => {
+    const position = positionFrom('3qk3/8/8/8/8/8/8/4K1N1 w - - 0 1');
+    assert.deepEqual(position.getTimeoutResult('white'), { winner: 'black', reason: 'timeout', flagged: 'white' });
+    assert.deepEqual(position.getTimeoutResult('black'), { winner: null, reason: 'timeout-insufficient-material', flagged: 'black' });
+});
+
+test('material counts promoted pieces at their new value', () => {
+    const position = positionFrom('1r2k3/P7/8/8/8/8/8/4K3 w - - 0 1');
+    assert.equal(position.getMaterial('white'), 1);
+    assert.equal(position.getMaterial('black'), 5);
+
+    play(position, 'axb8=Q');
+    assert.equal(position.getMaterial('white'), 9);
+    assert.equal(position.getMaterial('black'), 0);
+
+    position.revertMove();
+    assert.equal(position.getMaterial('white'), 1);
+    assert.equal(new ChessPosition().getMaterial('black'), 39);
+});
+
+test('FEN round trips and malformed FEN is rejected with a reason', () => {
+    const fen = 'r1bqkb1r/pppp1ppp/2n2n2/4p2Q/2B1P3/8/PPPP1PPP/RNB1K1NR w KQkq - 4 4';
+    let loads = 0;
+    const position = new ChessPosition();
+    position.on('load', () => loads++);
+    position.loadFEN(fen);
+
+    assert.equal(position.toFEN(), fen);
+    assert.equal(loads, 1);
+
+    assert.throws(() => position.loadFEN('8/8/8/8/8/8/8/8 w - - 0 1'), /exactly one white king/);
+    assert.throws(() => position.loadFEN('4k3/8/8/8/8/8/8/4K3 x - - 0 1'), /Side to move/);
+    assert.throws(() => position.loadFEN('4k3/8/8/8/8/8/8/4K3 w K - 0 1'), /cannot castle king side/);
+    assert.equal(position.toFEN(), fen, 'a rejected FEN leaves the position unchanged');
+    assert.equal(loads, 1);
+});
+
+test('SAN disambiguates between identical pieces', () => {
+    assert.ok(sanMoves(positionFrom('4k3/8/8/8/1N3N2/8/8/4K3 w - - 0 1')).includes('Nbd3'));
+    assert.ok(sanMoves(positionFrom('4k3/8/8/1N6/8/1N6/8/4K3 w - - 0 1')).includes('N5d4'));
+});
+
+test('PGN export parses back to the same moves', () => {
+    const position = new ChessPosition();
+    play(position, 'e4', 'e5', 'Nf3', 'Nc6', 'Bb5', 'a6', 'O-O');
+    const pgn = position.toPGN({ players: { white: 'Alice', black: 'Bob' } });
+
+    assert.match(pgn, /\[White "Alice"\]/);
+    assert.match(pgn, /1\. e4 e5 2\. Nf3 Nc6 3\. Bb5 a6 4\. O-O \*/);
+
+    const game = position.parsePGN(pgn);
+    assert.deepEqual(game.moves.map(move => position.getSquareName(move.to.row, move.to.col)),
+        ['e4', 'e5', 'f3', 'c6', 'b5', 'a6', 'g1']);
+
+    const replay = new ChessPosition();
+    replay.loadFEN(game.fen, game.moves);
+    assert.equal(replay.toFEN(), position.toFEN());
+});
+
+test('PGN with an illegal move names the line', () => {
+    const position = new ChessPosition();
+    assert.throws(() => position.parsePGN('1. e4 e5\n2. Ke3 *'), /Line 2: illegal move "Ke3" for white/);
+});
+
+test('UCI moves are found only when legal', () => {
+    const position = positionFrom('4k3/1P6/8/8/8/8/8/4K3 w - - 0 1');
+    assert.deepEqual(position.findMoveByUCI('b7b8n'), { from: { row: 1, col: 1 }, to: { row: 0, col: 1 }, promotion: 'knight' });
+    assert.equal(position.getUCI(position.findMoveByUCI('e1d2')), 'e1d2');
+    assert.equal(position.findMoveByUCI('e1e3'), null);
+    assert.equal(position.findMoveByUCI('e8e7'), null);
+});
+
+test('typed moves are read as SAN or UCI', () => {
+    const position = new ChessPosition();
+    for (const text of ['Nf3', 'nf3', ' g1f3 ', 'G1F3']) {
+        assert.equal(position.getUCI(position.findTypedMove(text)), 'g1f3', text);
+    }
+    assert.equal(position.getUCI(position.findTypedMove('e4')), 'e2e4');
+    assert.equal(position.findTypedMove('Nf4'), null);
+    assert.equal(position.findTypedMove(''), null);
+
+    play(position, 'e4', 'e5', 'Nf3', 'Nc6', 'Bc4', 'Bc5');
+    assert.equal(position.getUCI(position.findTypedMove('o-o')), 'e1g1');
+    assert.equal(position.getUCI(position.findTypedMove('bxf7')), 'c4f7');
+});
+
+test('moves are described in words', () => {
+    const position = positionFrom('4k3/1P6/8/3pP3/8/8/8/R3K3 w Q d6 0 1');
+    const describe = (uci) => {
+        const { from, to, promotion } = position.findMoveByUCI(uci);
+        const move = position.applyMove(from.row, from.col, to.row, to.col, promotion);
+        position.revertMove();
+        return position.describeMove(move);
+    };
+
+    assert.equal(describe('e5d6'), 'white pawn e5 to d6, takes pawn en passant');
+    assert.equal(describe('b7b8n'), 'white pawn b7 to b8, promotes to knight');
+    assert.equal(describe('e1c1'), 'white castles queen side');
+    assert.equal(describe('a1a7'), 'white rook a1 to a7');
+});
+
+test('attacked squares and hanging pieces', () => {
+    const position = positionFrom('4k3/8/8/3p4/2n1P3/8/8/R3K3 w - - 0 1');
+    const names = (squares) => squares.map(({ row, col }) => position.getSquareName(row, col)).sort();
+
+    assert.deepEqual(names(position.getAttackedSquares('black')),
+        ['a3', 'a5', 'b2', 'b6', 'c4', 'd2', 'd6', 'd7', 'd8', 'e3', 'e4', 'e5', 'e7', 'f7', 'f8']);
+    assert.deepEqual(names(position.getHangingPieces('white')), ['e4'], 'the rook is attacked by nothing');
+    assert.deepEqual(names(position.getHangingPieces('black')), ['d5'], 'the knight is attacked by nothing');
+
+    play(position, 'Rc1');
+    assert.deepEqual(names(position.getHangingPieces('black')), ['d5'], 'the pawn guards the knight');
+    play(position, 'Kd8', 'Rxc4');
+    assert.deepEqual(names(position.getHangingPieces('white')), ['c4'], 'the rook guards the pawn');
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const root = path.join(__dirname, '..');
+const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+
+// Open index.html in jsdom with the page's scripts and return its ChessGame
+// storage: localStorage items to start with; time: { now } read by the page's Date.now()
+function openGame(t, { storage = {}, time = { now: 0 } } = {}) {
+    const dom = new JSDOM(html.replace(/<script src="[^"]+"><\/script>/g, ''), {
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        url: 'http://localhost/'
+    });
+    const { window } = dom;
+    t.after(() => window.close());
+
+    window.Date.now = () => time.now;
+    for (const [key, value] of Object.entries(storage)) window.localStorage.setItem(key, value);
+
+    // Classic scripts share their top-level declarations, so they are run together
+    const scripts = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)]
+        .map(([, src]) => fs.readFileSync(path.join(root, src), 'utf8'));
+    window.eval(scripts.join('\n'));
+    window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+    return window.chessGame;
+}
+
+// Play moves given as SAN
+function play(game, ...sans) {
+    for (const san of sans) {
+        const move = game.position.findMoveBySAN(san);
+        assert.ok(move, `${san} should be legal`);
+        game.makeMove(move.from.row, move.from.col, move.to.row, move.to.col, move.promotion);
+    }
+}
+
+test('undo pauses the clocks until the next move is played', (t) => {
+    const time = { now: 0 };
+    const game = openGame(t, { time });
+    game.changeTimeControl('blitz-3+2');
+    play(game, 'e4', 'e5');
+    time.now = 5000;
+
+    game.undoMove();
+    assert.equal(game.clock.running, null);
+    time.now = 65000;
+    assert.equal(game.clock.getRemaining('black'), 182000, 'the clocks stay stopped after the undo');
+    assert.equal(game.clock.getRemaining('white'), 177000);
+
+    play(game, 'c5');
+    assert.equal(game.clock.running, 'white');
+    assert.equal(game.clock.getRemaining('black'), 184000);
+});
+
+test('Shift+click selects a mesh vertex and a second Shift+click deselects it', (t) => {
+    const game = openGame(t);
+    game.toggleMeshEditor();
+    game.boardElement.getBoundingClientRect = () => ({ left: 0, top: 0, width: 100, height: 100 });
+    game.boardElement.setPointerCapture = () => {};
+
+    // Vertex (2, 3) sits at (37.5, 25) on the 100-unit board
+    const shiftClick = (clientX, clientY) => {
+        const e = { button: 0, pointerId: 1, shiftKey: true, clientX, clientY, preventDefault() {} };
+        game.handleMeshPointerDown(e);
+        game.handleMeshPointerUp(e);
+    };
+    shiftClick(37.5, 25);
+    assert.deepEqual([...game.selectedVertices], [2 * 9 + 3]);
+
+    shiftClick(38, 25);
+    assert.deepEqual([...game.selectedVertices], [], 'the click should not brush the vertex back in');
+
+    game.handleMeshPointerDown({ button: 0, pointerId: 2, shiftKey: true, clientX: 38, clientY: 25, preventDefault() {} });
+    game.handleMeshPointerMove({ pointerId: 2, clientX: 50, clientY: 25 });
+    assert.deepEqual([...game.selectedVertices].sort((a, b) => a - b), [2 * 9 + 3, 2 * 9 + 4], 'dragging brushes as it goes');
+});
+
+test('restoring a save with a clock autosaves the restored times', (t) => {
+    const time = { now: 0 };
+    const first = openGame(t, { time });
+    first.changeTimeControl('blitz-3+2');
+    play(first, 'e4', 'e5', 'Nf3');
+    time.now = 40000;
+    const save = first.getSave();
+    assert.equal(save.clock.running, 'black');
+
+    const game = openGame(t, { storage: { 'in-chesst:autosave': JSON.stringify(save) }, time });
+    const { remaining, running } = game.saves.getAutosave().clock;
+    // Copied out of the page's realm, whose Object prototype deepEqual would tell apart
+    assert.deepEqual({ ...remaining }, { white: 184000, black: 142000 });
+    assert.equal(running, 'black');
+});
+
+test('a failed computer search is reported in the status line', async (t) => {
+    const game = openGame(t);
+    game.computerColor = 'white';
+    game.aiStrategy = { selectMove: () => Promise.reject(new Error('the worker crashed')), cancel() {} };
+
+    game.makeComputerMove();
+    assert.equal(game.statusElement.textContent, 'Computer is thinking…');
+    await new Promise(resolve => setTimeout(resolve));
+    assert.equal(game.statusElement.textContent, 'Computer could not move: the worker crashed');
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ChessPosition } = require('../engine.js');
+
+// Published perft results (https://www.chessprogramming.org/Perft_Results), one count per depth
+// Depths are kept small enough for the suite to finish in a few seconds
+const POSITIONS = [
+    {
+        name: 'starting position',
+        fen: ChessPosition.START_FEN,
+        nodes: [20, 400, 8902, 197281]
+    },
+    {
+        name: 'Kiwipete (castling, pins, en passant)',
+        fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+        nodes: [48, 2039, 97862]
+    },
+    {
+        name: 'position 3 (en passant discovered checks)',
+        fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+        nodes: [14, 191, 2812, 43238]
+    },
+    {
+        name: 'position 4 (promotions and castling out of check)',
+        fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1',
+        nodes: [6, 264, 9467, 422333]
+    },
+    {
+        name: 'position 4 mirrored',
+        fen: 'r2q1rk1/pP1p2pp/Q4n2/bbp1p3/Np6/1B3NBn/pPPP1PPP/R3K2R b KQ - 0 1',
+        nodes: [6, 264, 9467, 422333]
+    },
+    {
+        name: 'position 5 (promotion with check)',
+        fen: 'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8',
+        nodes: [44, 1486, 62379]
+    },
+    {
+        name: 'position 6',
+        fen: 'r4rk1/1pp1qppp/p1np1n2/2b1p1B1/2B1P1b1/P1NP1N2/1PP1QPPP/R4RK1 w - - 0 10',
+        nodes: [46, 2079, 89890]
+    }
+];
+
+for (const { name, fen, nodes } of POSITIONS) {
+    test(`perft: ${name}`, () => {
+        const position = new ChessPosition();
+        position.loadFEN(fen);
+
+        nodes.forEach((expected, index) => {
+            assert.equal(position.perft(index + 1), expected, `depth ${index + 1}`);
+        });
+        assert.equal(position.toFEN(), fen, 'perft leaves the position unchanged');
+    });
+}
+
+test('perftDivide splits the count by root move in UCI notation', () => {
+    const position = new ChessPosition();
+    const { moves, nodes } = position.perftDivide(3);
+
+    assert.equal(nodes, 8902);
+    assert.equal(Object.keys(moves).length, 20);
+    assert.equal(moves.e2e4, 600);
+    assert.equal(moves.d2d3, 539);
+    assert.equal(moves.g1f3, 440);
+});
+
+test('perftDivide names promotions with the piece letter', () => {
+    const position = new ChessPosition();
+    position.loadFEN('4k3/1P6/8/8/8/8/8/4K3 w - - 0 1');
+
+    const { moves } = position.perftDivide(1);
+    assert.deepEqual(['b7b8q', 'b7b8r', 'b7b8b', 'b7b8n'].map(uci => moves[uci]), [1, 1, 1, 1]);
+});
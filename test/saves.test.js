@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SAVE_VERSION, SAVE_MIGRATIONS, migrateSave, parseSave, SaveStore } = require('../saves.js');
+
+// The part of the Storage interface SaveStore uses, kept in memory
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    key(index) {
+        return [...this.items.keys()][index] ?? null;
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+function gameSave(moves, savedAt = '2026-01-01T00:00:00.000Z') {
+    return {
+        version: SAVE_VERSION,
+        savedAt,
+        fen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
+        moves,
+        ply: moves.length,
+        clock: null,
+        settings: { gameMode: 'human', theme: 'chess', view: 'normal' }
+    };
+}
+
+test('the autosave round trips through storage', () => {
+    const storage = new MemoryStorage();
+    const saves = new SaveStore(storage);
+
+    assert.equal(saves.getAutosave(), null);
+    saves.setAutosave(gameSave(['e2e4', 'e7e5']));
+    assert.deepEqual(saves.getAutosave(), gameSave(['e2e4', 'e7e5']));
+    assert.deepEqual(saves.listSlots(), [], 'the autosave is not a slot');
+});
+
+test('slots can be listed, loaded, renamed and deleted', () => {
+    const saves = new SaveStore(new MemoryStorage());
+    assert.equal(saves.saveSlot('  Opening  ', gameSave(['e2e4'], '2026-01-01T00:00:00.000Z')), 'Opening');
+    saves.saveSlot('Endgame', gameSave(['d2d4'], '2026-02-01T00:00:00.000Z'));
+
+    assert.deepEqual(saves.listSlots().map(slot => slot.name), ['Endgame', 'Opening']);
+    assert.deepEqual(saves.loadSlot('Opening').moves, ['e2e4']);
+    assert.equal(saves.loadSlot('Opening').name, 'Opening');
+
+    assert.throws(() => saves.renameSlot('Opening', 'Endgame'), /already a saved game named "Endgame"/);
+    assert.throws(() => saves.renameSlot('Opening', ' '), /need a name/);
+    saves.renameSlot('Opening', 'Ruy Lopez');
+    assert.deepEqual(saves.listSlots().map(slot => slot.name), ['Endgame', 'Ruy Lopez']);
+    assert.equal(saves.loadSlot('Ruy Lopez').name, 'Ruy Lopez');
+
+    saves.deleteSlot('Endgame');
+    assert.throws(() => saves.loadSlot('Endgame'), /no saved game named "Endgame"/);
+    assert.deepEqual(saves.listSlots().map(slot => slot.name), ['Ruy Lopez']);
+});
+
+test('unreadable slots are still listed so they can be deleted', () => {
+    const storage = new MemoryStorage();
+    const saves = new SaveStore(storage);
+    storage.setItem(`${SaveStore.SLOT_PREFIX}Broken`, '{');
+
+    assert.deepEqual(saves.listSlots(), [{ name: 'Broken', savedAt: null }]);
+    assert.throws(() => saves.loadSlot('Broken'), /not valid JSON/);
+    saves.deleteSlot('Broken');
+    assert.deepEqual(saves.listSlots(), []);
+});
+
+test('older saves are upgraded by the migrations and newer ones refused', () => {
+    // A migration from the previous version, like the one a rule addition would bring
+    const previous = { version: SAVE_VERSION - 1, fen: 'old' };
+    const migration = SAVE_MIGRATIONS[SAVE_VERSION - 1];
+    SAVE_MIGRATIONS[SAVE_VERSION - 1] = save => ({ ...save, fen: `${save.fen} upgraded` });
+    try {
+        assert.deepEqual(migrateSave(previous), { version: SAVE_VERSION, fen: 'old upgraded' });
+        delete SAVE_MIGRATIONS[SAVE_VERSION - 1];
+        assert.throws(() => migrateSave(previous), new RegExp(`version ${SAVE_VERSION - 1} can no longer be upgraded`));
+    } finally {
+        SAVE_MIGRATIONS[SAVE_VERSION - 1] = migration;
+    }
+
+    assert.throws(() => migrateSave({ version: SAVE_VERSION + 1 }), /newer than this game/);
+    assert.throws(() => migrateSave({ fen: 'no version' }), /no version/);
+});
+
+test('version 1 saves come back untimed', () => {
+    const { clock, ...save } = gameSave(['e2e4']);
+    assert.deepEqual(parseSave(JSON.stringify({ ...save, version: 1 })), gameSave(['e2e4']));
+});
+
+test('malformed saves are rejected with a reason', () => {
+    const json = (changes) => JSON.stringify({ ...gameSave(['e2e4']), ...changes });
+    assert.throws(() => parseSave(json({ fen: null })), /needs the FEN/);
+    assert.throws(() => parseSave(json({ moves: [1] })), /list of UCI moves/);
+    assert.throws(() => parseSave(json({ ply: 2 })), /ply 2 is outside its 1 moves/);
+    assert.throws(() => parseSave(json({ settings: null })), /needs its settings/);
+    const timeControl = { initial: 180000, bonus: 2000, bonusType: 'increment' };
+    assert.throws(() => parseSave(json({ clock: undefined })), /clock needs its time control/);
+    assert.throws(() => parseSave(json({ clock: { timeControl: { ...timeControl, bonusType: 'hourglass' } } })), /clock needs its time control/);
+    assert.throws(() => parseSave(json({ clock: { timeControl, remaining: { white: 1000 }, running: null } })), /time left for both sides/);
+    assert.throws(() => parseSave(json({ clock: { timeControl, remaining: { white: 1000, black: 0 }, running: 'red' } })), /"red" is not a color/);
+    const clock = { timeControl, remaining: { white: 1000, black: 0 }, running: 'white' };
+    assert.deepEqual(parseSave(json({ clock })).clock, clock);
+    assert.deepEqual(parseSave(json({})), gameSave(['e2e4']));
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { THEMES, THEME_PIECES, DEFAULT_HIGHLIGHTS, registerTheme, parseThemeManifest, getPieceURL, loadThemePacks } = require('../themes.js');
+
+const root = path.join(__dirname, '..', 'import', 'chess');
+
+test('Classic is built in with the default highlights', () => {
+    const classic = THEMES.get('chess');
+    assert.equal(classic.label, 'Classic');
+    assert.deepEqual(classic.squares, { light: '#f0d9b5', dark: '#b58863' });
+    assert.deepEqual(classic.highlights, DEFAULT_HIGHLIGHTS);
+    assert.equal(getPieceURL(classic, { color: 'white', type: 'knight' }), 'import/chess/chess/white_knight.png');
+});
+
+test('every theme in the index has a manifest that registers', () => {
+    const names = JSON.parse(fs.readFileSync(path.join(root, 'themes.json'), 'utf8'));
+    assert.deepEqual(names, ['chess', 'chess_green', 'chess_pink']);
+
+    for (const name of names) {
+        const manifest = parseThemeManifest(fs.readFileSync(path.join(root, name, 'theme.json'), 'utf8'));
+        const theme = registerTheme(`test:${name}`, manifest, `import/chess/${name}/`);
+        THEMES.delete(`test:${name}`);
+
+        // Sprite frames must lie on the 512×512 sheets
+        if (typeof theme.pieces !== 'string') {
+            assert.equal(theme.pieces.sheet, `import/chess/${name}/sprites.png`);
+            for (const key of THEME_PIECES) {
+                const [x, y, width, height] = theme.pieces.frames[key];
+                assert.ok(x >= 0 && y >= 0 && x + width <= 512 && y + height <= 512, `${name} ${key}`);
+            }
+        }
+    }
+});
+
+test('manifest paths resolve against the theme folder', () => {
+    const theme = registerTheme('test:texture', {
+        label: 'Texture',
+        squares: { light: '#fff', dark: '#000' },
+        board: 'board.png',
+        highlights: { move: '#0f0' },
+        background: '#123456',
+        backgroundImage: 'bg.png',
+        pieces: { sheet: 'sprites.png', frames: Object.fromEntries(THEME_PIECES.map(key => [key, [0, 0, 16, 16]])) }
+    }, 'packs/texture/');
+    THEMES.delete('test:texture');
+
+    assert.equal(theme.board, 'packs/texture/board.png');
+    assert.equal(theme.background, "#123456 url('packs/texture/bg.png')");
+    assert.deepEqual(theme.highlights, { ...DEFAULT_HIGHLIGHTS, move: '#0f0' });
+
+    theme.pieceImages = { black_queen: 'data:image/png;base64,AAAA' };
+    assert.equal(getPieceURL(theme, { color: 'black', type: 'queen' }), 'data:image/png;base64,AAAA');
+});
+
+test('malformed manifests are rejected with a reason', () => {
+    const squares = { light: '#fff', dark: '#000' };
+    const frames = Object.fromEntries(THEME_PIECES.map(key => [key, [0, 0, 16, 16]]));
+
+    assert.throws(() => parseThemeManifest('{'), /not valid JSON/);
+    assert.throws(() => registerTheme('broken', { pieces: '{color}_{type}.png' }, ''), /light and dark square colors/);
+    assert.throws(() => registerTheme('broken', { squares, pieces: 'pieces.png' }, ''), /needs {color} and {type}/);
+    assert.throws(() => registerTheme('broken', { squares }, ''), /piece file pattern or a sprite sheet/);
+    assert.throws(() => registerTheme('broken', { squares, pieces: { sheet: 'sprites.png', frames: { ...frames, white_pawn: [0, 0] } } }, ''),
+        /sprite frame "white_pawn" must be \[x, y, width, height\]/);
+    assert.ok(!THEMES.has('broken'));
+});
+
+test('sprite sheet themes are registered only once their pieces are cut out', async (t) => {
+    const frames = Object.fromEntries(THEME_PIECES.map(key => [key, [0, 0, 16, 16]]));
+    const files = {
+        'packs/themes.json': JSON.stringify(['sheet', 'missing']),
+        'packs/sheet/theme.json': JSON.stringify({ squares: { light: '#fff', dark: '#000' }, pieces: { sheet: 'sprites.png', frames } })
+    };
+    t.mock.method(globalThis, 'fetch', async (url) => files[url]
+        ? { ok: true, text: async () => files[url] }
+        : { ok: false, status: 404, statusText: 'Not Found' });
+
+    // Just enough Image and canvas for sliceThemeSprites, noting whether the theme was selectable mid-slice
+    let registeredWhileSlicing = null;
+    globalThis.Image = class {
+        set src(url) {
+            registeredWhileSlicing = THEMES.has('sheet');
+            setImmediate(() => this.onload());
+        }
+    };
+    globalThis.document = {
+        createElement: () => ({ getContext: () => ({ drawImage() {} }), toDataURL: () => 'data:image/png;base64,AAAA' })
+    };
+    t.after(() => {
+        delete globalThis.Image;
+        delete globalThis.document;
+        THEMES.delete('sheet');
+    });
+
+    const { loaded, failed } = await loadThemePacks('packs/');
+    assert.equal(registeredWhileSlicing, false);
+    assert.deepEqual(loaded, ['sheet']);
+    assert.deepEqual(failed.map(({ name }) => name), ['missing']);
+    assert.equal(getPieceURL(THEMES.get('sheet'), { color: 'white', type: 'pawn' }), 'data:image/png;base64,AAAA');
+});
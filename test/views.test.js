@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { VIEWS, registerView, getDefaultViewParams, registerMeshView, parseMesh, meshToJSON } = require('../views.js');
+
+const vertex = { x: 25, y: 75, originalX: 25, originalY: 75 };
+
+test('the built-in views are registered with their slider defaults', () => {
+    assert.deepEqual([...VIEWS.keys()], ['normal', 'perspective', 'wave', 'dramatic-wave', 'multi-wave']);
+    assert.deepEqual(getDefaultViewParams('perspective'), { strength: 0.3 });
+    assert.deepEqual(getDefaultViewParams('normal'), {});
+    assert.ok(VIEWS.get('wave').animated);
+    assert.ok(!VIEWS.get('perspective').animated);
+});
+
+test('views leave the grid undistorted when their strength is zero', () => {
+    const flat = [
+        ['normal', {}],
+        ['perspective', { strength: 0 }],
+        ['wave', { amplitude: 0, frequency: 1, speed: 1.5 }],
+        ['dramatic-wave', { amplitude: 0, ripple: 0, frequency: 1, speed: 2 }],
+        ['multi-wave', { amplitude: 0, speed: 1 }]
+    ];
+
+    for (const [name, params] of flat) {
+        assert.deepEqual(VIEWS.get(name).displace(vertex, 6, 2, 1.5, params), { x: 25, y: 75 }, name);
+    }
+});
+
+test('registerView adds custom views and rejects incomplete ones', () => {
+    registerView('shear', {
+        label: 'Shear',
+        params: { amount: { label: 'Amount', min: -1, max: 1, step: 0.1, value: 0.2 } },
+        displace: (v, row, col, t, { amount }) => ({ x: v.originalX + v.originalY * amount, y: v.originalY })
+    });
+
+    const shear = VIEWS.get('shear');
+    assert.equal(shear.label, 'Shear');
+    assert.deepEqual(shear.displace(vertex, 6, 2, 0, getDefaultViewParams('shear')), { x: 40, y: 75 });
+    VIEWS.delete('shear');
+
+    assert.throws(() => registerView('broken', { label: 'Broken' }), /needs a displace/);
+    assert.throws(() => registerView('broken', { params: { amount: { min: 0 } }, displace: () => vertex }),
+        /parameter "amount" needs numeric min, max and value/);
+    assert.ok(!VIEWS.has('broken'));
+});
+
+test('meshes round trip through JSON and become views', () => {
+    const grid = [];
+    for (let row = 0; row <= 8; row++) {
+        grid.push([]);
+        for (let col = 0; col <= 8; col++) {
+            grid[row].push({ x: col * 12.5 + 1 / 3, y: row * 12.5 });
+        }
+    }
+
+    const mesh = parseMesh(meshToJSON('Tilted', grid));
+    assert.equal(mesh.name, 'Tilted');
+    assert.deepEqual(mesh.vertices[8][2], [25.33, 100]);
+
+    const name = registerMeshView(mesh);
+    assert.equal(name, 'mesh:Tilted');
+    assert.equal(VIEWS.get(name).mesh, mesh, 'a saved game can take the mesh along');
+    const { displace } = VIEWS.get(name);
+    const corner = { x: 100, y: 100, originalX: 100, originalY: 100 };
+    assert.deepEqual(displace(corner, 8, 8, 0, { strength: 1 }), { x: 100.33, y: 100 });
+    assert.deepEqual(displace(corner, 8, 8, 0, { strength: 0 }), { x: 100, y: 100 });
+    VIEWS.delete(name);
+});
+
+test('malformed mesh JSON is rejected with a reason', () => {
+    const row = Array(9).fill([0, 0]);
+    assert.throws(() => parseMesh('{'), /not valid JSON/);
+    assert.throws(() => parseMesh(JSON.stringify({ vertices: Array(9).fill(row) })), /needs a name/);
+    assert.throws(() => parseMesh(JSON.stringify({ name: 'Short', vertices: [row] })), /9 rows of 9/);
+    assert.throws(() => parseMesh(JSON.stringify({ name: 'Bad', vertices: [...Array(8).fill(row), [...row.slice(1), ['a', 0]]] })),
+        /vertex 8,8 must be an \[x, y\] pair/);
+});
@@ -0,0 +1,157 @@
+// Theme packs - square colors or a board texture, highlight colors, a background and the piece sprites,
+// read from the theme.json manifest in each folder that import/chess/themes.json lists
+const THEMES = new Map();
+
+// Every piece a theme draws, as color_type
+const THEME_PIECES = ['white', 'black'].flatMap(color =>
+    ['king', 'queen', 'rook', 'bishop', 'knight', 'pawn'].map(type => `${color}_${type}`));
+
+// Highlight colors for themes that don't set their own; the last four tint the board overlays
+const DEFAULT_HIGHLIGHTS = {
+    selected: '#baca44',
+    move: '#7fc97f',
+    capture: '#e74c3c',
+    captureBorder: '#c0392b',
+    lastMove: 'rgba(255, 214, 0, 0.45)',
+    check: 'rgba(231, 29, 29, 0.7)',
+    hanging: '#ff8c00',
+    attacked: 'rgba(192, 57, 43, 0.3)'
+};
+
+// Build a theme from its manifest without registering it, throwing an Error that says what is wrong with it
+// base is the theme's folder, which the manifest's file names are relative to:
+//   label: name shown in the theme selector
+//   squares: { light, dark } colors
+//   board: optional board image without a frame, cut into an even 8×8 grid; each cell is filled with its own
+//     square of it instead of a color
+//   highlights: optional { selected, move, capture, captureBorder, lastMove, check, hanging, attacked } colors
+//   background: optional color, and backgroundImage: optional image tiled behind the board
+//   pieces: a file name pattern such as '{color}_{type}.png', or { sheet, frames } to cut the pieces
+//     from one sprite sheet, frames being { white_king: [x, y, width, height], ... } in sheet pixels
+function createTheme(name, manifest, base) {
+    const { label = name, squares, board, highlights = {}, background, backgroundImage, pieces } = manifest;
+    if (!squares || typeof squares.light !== 'string' || typeof squares.dark !== 'string') {
+        throw new Error(`Theme "${name}" needs light and dark square colors`);
+    }
+
+    if (typeof pieces === 'string') {
+        if (!pieces.includes('{color}') || !pieces.includes('{type}')) {
+            throw new Error(`Theme "${name}" piece pattern needs {color} and {type}`);
+        }
+    } else if (pieces && typeof pieces.sheet === 'string' && pieces.frames) {
+        for (const key of THEME_PIECES) {
+            const frame = pieces.frames[key];
+            if (!Array.isArray(frame) || frame.length !== 4 || !frame.every(Number.isFinite)) {
+                throw new Error(`Theme "${name}" sprite frame "${key}" must be [x, y, width, height]`);
+            }
+        }
+    } else {
+        throw new Error(`Theme "${name}" needs a piece file pattern or a sprite sheet with frames`);
+    }
+
+    const theme = {
+        name,
+        label,
+        squares: { light: squares.light, dark: squares.dark },
+        board: board ? base + board : null,
+        highlights: { ...DEFAULT_HIGHLIGHTS, ...highlights },
+        background: [background, backgroundImage && `url('${base + backgroundImage}')`].filter(Boolean).join(' ') || null,
+        pieces: typeof pieces === 'string' ? base + pieces : { sheet: base + pieces.sheet, frames: pieces.frames },
+        pieceImages: null // Sprites cut from the sheet, by color_type, once sliceThemeSprites has run
+    };
+    return theme;
+}
+
+// Register a theme from its manifest (a later registration with the same name replaces it)
+function registerTheme(name, manifest, base) {
+    const theme = createTheme(name, manifest, base);
+    THEMES.set(name, theme);
+    return theme;
+}
+
+// Read a theme manifest from JSON, throwing an Error that says what is wrong with it
+function parseThemeManifest(json) {
+    try {
+        return JSON.parse(json);
+    } catch (err) {
+        throw new Error(`Theme manifest is not valid JSON (${err.message})`);
+    }
+}
+
+// URL of a piece's sprite in a theme
+function getPieceURL(theme, piece) {
+    const key = `${piece.color}_${piece.type}`;
+    if (typeof theme.pieces === 'string') {
+        return theme.pieces.replace('{color}', piece.color).replace('{type}', piece.type);
+    }
+    return theme.pieceImages[key];
+}
+
+// Cut a sprite sheet theme's pieces into images of their own, so they scale like separate files
+// Resolves once theme.pieceImages is filled in
+function sliceThemeSprites(theme) {
+    return new Promise((resolve, reject) => {
+        const sheet = new Image();
+        sheet.onerror = () => reject(new Error(`could not load ${theme.pieces.sheet}`));
+        sheet.onload = () => {
+            const pieceImages = {};
+            for (const [key, [x, y, width, height]] of Object.entries(theme.pieces.frames)) {
+                const canvas = document.createElement('canvas');
+                canvas.width = width;
+                canvas.height = height;
+                const context = canvas.getContext('2d');
+                if (!context) {
+                    reject(new Error('sprite sheets need canvas support'));
+                    return;
+                }
+                context.drawImage(sheet, x, y, width, height, 0, 0, width, height);
+                pieceImages[key] = canvas.toDataURL();
+            }
+            theme.pieceImages = pieceImages;
+            resolve(theme);
+        };
+        sheet.src = theme.pieces.sheet;
+    });
+}
+
+// Fetch the theme index and register every theme whose manifest (and sprite sheet) loads
+// A sprite sheet theme is only registered once its pieces are cut out, so it can't be picked without them
+// Resolves to { loaded: [names], failed: [{ name, error }] }; rejects if the index itself can't be fetched,
+// as for pages opened from file://, which leaves just the built-in Classic theme
+async function loadThemePacks(root = 'import/chess/') {
+    const fetchText = async (url) => {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`${url}: ${response.status} ${response.statusText}`);
+        return response.text();
+    };
+
+    const names = JSON.parse(await fetchText(`${root}themes.json`));
+    const loaded = [];
+    const failed = [];
+    for (const name of names) {
+        try {
+            const base = `${root}${name}/`;
+            const manifest = parseThemeManifest(await fetchText(`${base}theme.json`));
+            const theme = createTheme(name, manifest, base);
+            if (typeof theme.pieces !== 'string') {
+                await sliceThemeSprites(theme);
+            }
+            THEMES.set(name, theme);
+            loaded.push(name);
+        } catch (err) {
+            failed.push({ name, error: err });
+        }
+    }
+    return { loaded, failed };
+}
+
+// Classic - the default theme, available before (or without) the manifests
+registerTheme('chess', {
+    label: 'Classic',
+    squares: { light: '#f0d9b5', dark: '#b58863' },
+    pieces: '{color}_{type}.png'
+}, 'import/chess/chess/');
+
+if (typeof module !== 'undefined') {
+    module.exports = { THEMES, THEME_PIECES, DEFAULT_HIGHLIGHTS, createTheme, registerTheme, parseThemeManifest, getPieceURL, sliceThemeSprites, loadThemePacks };
+}
@@ -0,0 +1,136 @@
+// Move generation benchmark: node tools/benchmark.js
+// Times perft and a MinimaxAI search with the engine's check/pin based legality test
+// against the original generator, which played every candidate move out and rescanned
+// all enemy moves to see if the king was left in check
+const { ChessPosition } = require('../engine.js');
+const { MinimaxAI } = require('../ai.js');
+
+// The original legality test, kept here as the baseline
+class RescanningPosition extends ChessPosition {
+    getValidMoves(row, col) {
+        const piece = this.board[row][col];
+        if (!piece) return [];
+
+        const moves = this.getValidMovesWithoutCheckTest(row, col);
+        if (piece.type === 'king') {
+            moves.push(...this.getCastlingMoves(row, col, piece.color));
+        }
+
+        return moves.filter(move => !this.wouldBeInCheck(row, col, move.row, move.col, piece.color));
+    }
+
+    isSquareAttacked(row, col, byColor) {
+        for (let r = 0; r < 8; r++) {
+            for (let c = 0; c < 8; c++) {
+                const piece = this.board[r][c];
+                if (!piece || piece.color !== byColor) continue;
+
+                if (piece.type === 'pawn') {
+                    const direction = byColor === 'white' ? -1 : 1;
+                    if (r + direction === row && Math.abs(c - col) === 1) {
+                        return true;
+                    }
+                    continue;
+                }
+
+                const moves = this.getValidMovesWithoutCheckTest(r, c);
+                if (moves.some(move => move.row === row && move.col === col)) {
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    getAllMoves(color) {
+        const allMoves = [];
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = this.board[row][col];
+                if (!piece || piece.color !== color) continue;
+
+                for (const move of this.getValidMoves(row, col)) {
+                    const promotions = this.isPromotionMove(row, col, move.row)
+                        ? ChessPosition.PROMOTION_PIECES
+                        : [undefined];
+                    for (const promotion of promotions) {
+                        allMoves.push({ from: { row, col }, to: { row: move.row, col: move.col }, promotion });
+                    }
+                }
+            }
+        }
+        return allMoves;
+    }
+
+    hasLegalMoves(color) {
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = this.board[row][col];
+                if (piece && piece.color === color && this.getValidMoves(row, col).length > 0) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+}
+
+const CASES = [
+    { name: 'perft 3, starting position', fen: ChessPosition.START_FEN, run: position => position.perft(3) },
+    {
+        name: 'perft 3, Kiwipete',
+        fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+        run: position => position.perft(3)
+    },
+    {
+        name: 'perft 4, position 3',
+        fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+        run: position => position.perft(4)
+    },
+    {
+        name: 'perft 3, position 4',
+        fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1',
+        run: position => position.perft(3)
+    },
+    {
+        name: 'MinimaxAI depth 3, Italian game',
+        fen: 'r1bqk1nr/pppp1ppp/2n5/2b1p3/2B1P3/5N2/PPPP1PPP/RNBQK2R w KQkq - 4 4',
+        run: position => {
+            const move = new MinimaxAI(position, { depth: 3 }).selectMove(position.currentPlayer);
+            return position.getUCI(move);
+        }
+    }
+];
+
+// Run a case and return its result and the best time in milliseconds
+// (the first run only warms up the JIT)
+function time(Position, { fen, run }, runs = 3) {
+    const position = new Position();
+    position.loadFEN(fen);
+    let result = run(position);
+
+    let best = Infinity;
+    for (let i = 0; i < runs; i++) {
+        const start = process.hrtime.bigint();
+        result = run(position);
+        best = Math.min(best, Number(process.hrtime.bigint() - start) / 1e6);
+    }
+    return { result, ms: best };
+}
+
+console.log('Case                               Original    Current   Speedup');
+for (const testCase of CASES) {
+    const original = time(RescanningPosition, testCase);
+    const current = time(ChessPosition, testCase);
+    if (original.result !== current.result) {
+        throw new Error(`${testCase.name}: results differ (${original.result} vs ${current.result})`);
+    }
+
+    console.log([
+        testCase.name.padEnd(32),
+        `${original.ms.toFixed(0)} ms`.padStart(11),
+        `${current.ms.toFixed(0)} ms`.padStart(10),
+        `${(original.ms / current.ms).toFixed(1)}x`.padStart(9)
+    ].join(' '));
+}
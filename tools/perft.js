@@ -0,0 +1,26 @@
+// Perft from the command line: node tools/perft.js <depth> [fen]
+// Prints the node count under each root move and the total, in the same format as
+// other engines' divide output so the two can be compared line by line
+const { ChessPosition } = require('../engine.js');
+
+const [depthArg, ...fenParts] = process.argv.slice(2);
+const depth = parseInt(depthArg);
+if (!(depth >= 1)) {
+    console.error('Usage: node tools/perft.js <depth> [fen]');
+    process.exit(1);
+}
+
+const position = new ChessPosition();
+try {
+    position.loadFEN(fenParts.length ? fenParts.join(' ') : ChessPosition.START_FEN);
+} catch (err) {
+    console.error(`Invalid FEN: ${err.message}`);
+    process.exit(1);
+}
+
+const start = Date.now();
+const { moves, nodes } = position.perftDivide(depth);
+for (const uci of Object.keys(moves).sort()) {
+    console.log(`${uci}: ${moves[uci]}`);
+}
+console.log(`\nNodes searched: ${nodes} (${Date.now() - start} ms)`);
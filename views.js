@@ -0,0 +1,190 @@
+// Board views - distortions of the 9x9 vertex grid, registered by name
+// ChessGame lists every registered view in the view selector and builds sliders for its params
+const VIEWS = new Map();
+
+// Register a view (a later registration with the same name replaces it):
+//   label: name shown in the view selector
+//   params: { key: { label, min, max, step, value } }, one slider each; value is the default
+//   animated: true if the view changes with time, so the board keeps redrawing while it is shown
+//   displace(vertex, row, col, t, params): returns { x, y }, where the vertex goes at t seconds
+//     (vertex.originalX / originalY are its undistorted position, in percent of the board)
+function registerView(name, { label = name, params = {}, animated = false, displace }) {
+    if (typeof displace !== 'function') {
+        throw new Error(`View "${name}" needs a displace(vertex, row, col, t, params) function`);
+    }
+
+    for (const [key, param] of Object.entries(params)) {
+        if (!['min', 'max', 'value'].every(field => typeof param[field] === 'number')) {
+            throw new Error(`View "${name}" parameter "${key}" needs numeric min, max and value`);
+        }
+    }
+
+    VIEWS.set(name, { name, label, params, animated, displace });
+}
+
+// Default values of a view's parameters
+function getDefaultViewParams(name) {
+    const params = {};
+    for (const [key, param] of Object.entries(VIEWS.get(name).params)) {
+        params[key] = param.value;
+    }
+    return params;
+}
+
+// Normal View - the undistorted grid
+registerView('normal', {
+    label: 'Normal',
+    displace: vertex => ({ x: vertex.originalX, y: vertex.originalY })
+});
+
+// Perspective 3D View - rows further back are narrower and closer together
+registerView('perspective', {
+    label: 'Perspective 3D',
+    params: {
+        strength: { label: 'Perspective strength', min: 0, max: 0.6, step: 0.05, value: 0.3 }
+    },
+    displace: (vertex, row, col, t, { strength }) => {
+        const centerX = 50;
+        const perspectiveFactor = 1 - (row / 8) * strength;
+
+        return {
+            x: centerX + (vertex.originalX - centerX) * perspectiveFactor,
+            y: vertex.originalY * (1 - strength + row / 8 * strength)
+        };
+    }
+});
+
+// Wave Effect View - a diagonal wave rolling across the board
+registerView('wave', {
+    label: 'Wave Effect',
+    animated: true,
+    params: {
+        amplitude: { label: 'Amplitude', min: 0, max: 8, step: 0.5, value: 3 },
+        frequency: { label: 'Frequency', min: 0.25, max: 3, step: 0.25, value: 1 },
+        speed: { label: 'Speed', min: 0, max: 5, step: 0.25, value: 1.5 }
+    },
+    displace: (vertex, row, col, t, { amplitude, frequency, speed }) => ({
+        x: vertex.originalX + Math.sin((row + col) * Math.PI / 4 * frequency + t * speed) * amplitude,
+        y: vertex.originalY + Math.cos((row - col) * Math.PI / 4 * frequency + t * speed) * amplitude
+    })
+});
+
+// Dramatic Wave Effect View - a large wave plus a ripple spreading from the center
+registerView('dramatic-wave', {
+    label: 'Dramatic Wave',
+    animated: true,
+    params: {
+        amplitude: { label: 'Amplitude', min: 0, max: 15, step: 0.5, value: 8 },
+        ripple: { label: 'Ripple', min: 0, max: 10, step: 0.5, value: 4 },
+        frequency: { label: 'Frequency', min: 0.25, max: 3, step: 0.25, value: 1 },
+        speed: { label: 'Speed', min: 0, max: 5, step: 0.25, value: 2 }
+    },
+    displace: (vertex, row, col, t, { amplitude, ripple, frequency, speed }) => {
+        const waveX = Math.sin((row + col) * Math.PI / 3 * frequency + t * speed) * amplitude;
+        const waveY = Math.cos((row - col) * Math.PI / 3 * frequency + t * speed) * amplitude;
+
+        // Circular wave component
+        const centerRow = 4.5;
+        const centerCol = 4.5;
+        const distFromCenter = Math.sqrt(Math.pow(row - centerRow, 2) + Math.pow(col - centerCol, 2));
+        const radialWave = Math.sin(distFromCenter * Math.PI / 2 - t * speed) * ripple;
+        const angle = Math.atan2(row - centerRow, col - centerCol);
+
+        return {
+            x: vertex.originalX + waveX + radialWave * Math.cos(angle),
+            y: vertex.originalY + waveY + radialWave * Math.sin(angle)
+        };
+    }
+});
+
+// Multiple Waves Effect View - three overlapping waves and a ripple from the center
+registerView('multi-wave', {
+    label: 'Multiple Waves',
+    animated: true,
+    params: {
+        amplitude: { label: 'Amplitude', min: 0, max: 2, step: 0.1, value: 1 },
+        speed: { label: 'Speed', min: 0, max: 3, step: 0.1, value: 1 }
+    },
+    displace: (vertex, row, col, t, { amplitude, speed }) => {
+        const time = t * speed;
+
+        const wave1X = Math.sin((row + col) * Math.PI / 4 + time * 1.2) * 5;
+        const wave1Y = Math.cos((row + col) * Math.PI / 4 + time * 1.2) * 5;
+
+        const wave2X = Math.sin((row - col) * Math.PI / 3 - time * 0.9) * 4;
+        const wave2Y = Math.cos((row - col) * Math.PI / 3 - time * 0.9) * 4;
+
+        const wave3X = Math.sin(row * Math.PI / 2 + time * 1.5) * 3;
+        const wave3Y = Math.cos(col * Math.PI / 2 + time * 1.5) * 3;
+
+        // Circular ripple from center
+        const centerRow = 4.5;
+        const centerCol = 4.5;
+        const distFromCenter = Math.sqrt(Math.pow(row - centerRow, 2) + Math.pow(col - centerCol, 2));
+        const ripple = Math.sin(distFromCenter * Math.PI / 1.5 - time * 2) * 3;
+        const angle = Math.atan2(row - centerRow, col - centerCol);
+
+        return {
+            x: vertex.originalX + (wave1X + wave2X + wave3X + ripple * Math.cos(angle)) * amplitude,
+            y: vertex.originalY + (wave1Y + wave2Y + wave3Y + ripple * Math.sin(angle)) * amplitude
+        };
+    }
+});
+
+// Hand-edited meshes are views named 'mesh:<name>' that move each vertex to its saved position
+// mesh: { name, vertices }, vertices being 9 rows of 9 [x, y] points in percent of the board
+// Returns the view name
+function registerMeshView(mesh) {
+    const name = `mesh:${mesh.name}`;
+    registerView(name, {
+        label: mesh.name,
+        params: {
+            strength: { label: 'Strength', min: 0, max: 1, step: 0.05, value: 1 }
+        },
+        displace: (vertex, row, col, t, { strength }) => {
+            const [x, y] = mesh.vertices[row][col];
+            return {
+                x: vertex.originalX + (x - vertex.originalX) * strength,
+                y: vertex.originalY + (y - vertex.originalY) * strength
+            };
+        }
+    });
+    VIEWS.get(name).mesh = mesh; // Kept so that a saved game can bring its mesh back
+    return name;
+}
+
+// Read a mesh from JSON, throwing an Error that says what is wrong with it
+function parseMesh(json) {
+    let mesh;
+    try {
+        mesh = JSON.parse(json);
+    } catch (err) {
+        throw new Error(`Mesh is not valid JSON (${err.message})`);
+    }
+
+    if (!mesh || typeof mesh.name !== 'string' || !mesh.name.trim()) {
+        throw new Error('Mesh needs a name');
+    }
+
+    const { vertices } = mesh;
+    if (!Array.isArray(vertices) || vertices.length !== 9 || !vertices.every(row => Array.isArray(row) && row.length === 9)) {
+        throw new Error('Mesh vertices must be 9 rows of 9 [x, y] points');
+    }
+    vertices.forEach((row, r) => row.forEach((point, c) => {
+        if (!Array.isArray(point) || point.length !== 2 || !point.every(Number.isFinite)) {
+            throw new Error(`Mesh vertex ${r},${c} must be an [x, y] pair of numbers`);
+        }
+    }));
+
+    return { name: mesh.name.trim(), vertices };
+}
+
+// Write a vertex grid as mesh JSON, positions rounded to hundredths of a percent
+function meshToJSON(name, vertexGrid) {
+    const vertices = vertexGrid.map(row => row.map(({ x, y }) => [Math.round(x * 100) / 100, Math.round(y * 100) / 100]));
+    return JSON.stringify({ name, vertices });
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { VIEWS, registerView, getDefaultViewParams, registerMeshView, parseMesh, meshToJSON };
+}